@@ -6,6 +6,9 @@
 // --- Constants and Global State ---
 const STYLE_OVERRIDE_TAG_ID = "font-direction-changer-style-override";
 const FONT_LINK_TAG_ID = "font-direction-changer-font-link";
+const SCRIPT_MIX_STYLE_TAG_ID = "font-direction-changer-script-mix";
+const AUTO_DIRECTION_ATTRIBUTE = "data-fdc-dir";
+const PICKER_OVERLAY_ID = "font-direction-changer-picker-overlay";
 const storageArea = browser.storage.sync;
 const sessionStore = browser.storage.session;
 
@@ -13,20 +16,440 @@ const sessionStore = browser.storage.session;
 let currentAppliedFont = null;
 let currentAppliedDirection = null;
 let currentAppliedFontSize = null;
+// "scale" replaces currentAppliedFontSize with currentAppliedFontScale, a
+// percentage of each element's own size, and currentAppliedMinFontSize.
+let currentAppliedFontSizeMode = null;
+let currentAppliedFontScale = null;
+let currentAppliedMinFontSize = null;
 let currentAppliedLineHeight = null;
 let currentAppliedFontWeight = null;
 let currentAppliedLetterSpacing = null;
 let currentAppliedWordSpacing = null;
+let currentAppliedLatinFont = null;
+let currentAppliedDigits = null;
+let currentAppliedNormalizePersian = null;
+// "on" makes text fields follow the direction of what is typed in them.
+let currentAppliedInputDirection = null;
+// The fonts of the typographic roles: headings (with their weight), form
+// controls and code. An unset role follows the page font.
+let currentAppliedRoleSettings = {};
+// The excluded/always-restyled selector lists and the scope of the applied settings.
+let currentAppliedSelectorSettings = {};
 
 let observer = null;
-let mutationDebounceTimeout = null;
+let mutationFlushTimeout = null;
+// The settings last given to applyPageStyles; equal settings are not applied twice.
+let appliedStylesSignature = null;
+// Shadow roots styled so far. After the first pass, new ones are only looked
+// for in the subtrees the observer reports as added.
+const knownShadowRoots = new Set();
+// Elements added to the page since the last flush of the observer's queue.
+const pendingAddedElements = new Set();
+// The override CSS of the applied settings. The document has its own; every
+// styled shadow root shares the other one (see attachOverrideStyles).
+const overrideSheets = createOverrideSheets();
+let documentOverrideCss = "";
+let shadowRootOverrideCss = "";
+// The "hostname/path" the current rule was resolved for, to notice SPA navigations.
+let lastResolvedHostAndPath = null;
+// A frame may use the settings of the page that embeds it (see
+// getTopFrameSettings); it then also follows the rules of that page's URL.
+const isTopFrame = window === window.top;
+let topFrameUrl = null;
+let inheritsTopFrameSettings = false;
+// Whether the popup paused the extension in this tab (see isTabPaused and the
+// setTabPaused message).
+let tabPaused = false;
+// This hostname's entry in the early styles cache (see early-styles.js), as
+// last read or written; undefined until it is read.
+let earlyStylesEntry;
+
+// --- Automatic (per-block) Direction Detection ---
+
+// Elements whose text decides their own direction in "auto" mode. Plain <div>s are
+// only considered when they hold text directly (see getBlockTextSample).
+const AUTO_DIRECTION_BLOCK_SELECTOR =
+  "p, li, dt, dd, h1, h2, h3, h4, h5, h6, blockquote, figcaption, caption, td, th, summary, label, div";
+// Regions that are never flipped: code and anything the user is editing.
+const AUTO_DIRECTION_SKIP_SELECTOR =
+  "pre, code, samp, kbd, input, textarea, select, [contenteditable]:not([contenteditable='false'])";
+// Only the beginning of a block is inspected; enough to classify a paragraph.
+const AUTO_DIRECTION_SAMPLE_LENGTH = 400;
+const RTL_CHAR_RANGES =
+  "\\u0590-\\u05FF\\u0600-\\u06FF\\u0700-\\u08FF\\uFB1D-\\uFDFF\\uFE70-\\uFEFF";
+const LTR_CHAR_RANGES = "A-Za-z\\u00C0-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF";
+const RTL_CHAR_REGEX = new RegExp(`[${RTL_CHAR_RANGES}]`, "g");
+const LTR_CHAR_REGEX = new RegExp(`[${LTR_CHAR_RANGES}]`, "g");
+const FIRST_STRONG_CHAR_REGEX = new RegExp(
+  `[${RTL_CHAR_RANGES}${LTR_CHAR_RANGES}]`
+);
+
+// Nodes collected by the MutationObserver while "auto" direction is active.
+const pendingAutoDirectionRoots = new Set();
+const pendingAutoDirectionBlocks = new Set();
+
+// --- Fonts ---
+
+// With separate Arabic-script and Latin fonts, the page uses this family: its
+// Arabic-script faces come from one font and every other face from the other,
+// split by unicode-range.
+const SCRIPT_MIX_FONT_FAMILY = "FontChanger Script Mix";
+// Google Fonts subsets (named in a comment before each @font-face) that hold
+// the Arabic-script glyphs.
+const ARABIC_SCRIPT_SUBSETS = ["arabic"];
+// Used for installed fonts, which come without subsets.
+const ARABIC_SCRIPT_UNICODE_RANGE =
+  "U+0600-06FF, U+0750-077F, U+0870-08FF, U+200C-200F, U+FB50-FDFF, U+FE70-FEFF";
+
+// The font pair the script mix family was last declared for, and the bundled
+// font faces added to document.fonts for it.
+let currentScriptMixKey = null;
+let scriptMixFontFaces = [];
+// Bundled and uploaded fonts already registered under their own family, with
+// the pending registration.
+const registeredExtensionFonts = new Map();
+// The families uploaded in the settings page; the list is kept in
+// browser.storage.local by custom-fonts.js.
+const CUSTOM_FONT_FAMILIES_KEY = "customFontFamilies";
+let customFontFamilies = [];
+// The fonts of the font catalog (fonts/catalog.json).
+let fontCatalog = [];
+// Google Fonts stylesheets already fetched for the script mix, keyed by URL.
+const googleFontCssCache = new Map();
+
+function isBundledFont(fontName) {
+  return FontCatalog.isBundled(FontCatalog.findFont(fontCatalog, fontName));
+}
+
+/**
+ * Registers a font shipped with the extension through the FontFace API. The
+ * files are read as binary data, so neither the network nor the page's CSP
+ * (font-src) is involved.
+ * @param {string} fontName - A bundled catalog font.
+ * @param {string} [family] - The family name to register the faces under.
+ * @param {string[]} [subsets] - The subsets to register; all of them by default.
+ * @returns {Promise<FontFace[]>} The faces added to document.fonts.
+ */
+async function registerBundledFont(
+  fontName,
+  family = fontName,
+  subsets = null
+) {
+  const bundledFont = FontCatalog.findFont(fontCatalog, fontName);
+  const fontFaces = [];
+  for (const [subset, file] of Object.entries(bundledFont.files)) {
+    if (subsets && !subsets.includes(subset)) continue;
+    const response = await fetch(browser.runtime.getURL(file));
+    const fontFace = new FontFace(family, await response.arrayBuffer(), {
+      weight: FontCatalog.getFontFaceWeight(bundledFont),
+      unicodeRange: window.FONT_SUBSET_UNICODE_RANGES[subset],
+      display: "swap",
+    });
+    document.fonts.add(fontFace);
+    fontFaces.push(fontFace);
+  }
+  return fontFaces;
+}
+
+/**
+ * Only the catalog fonts that are not bundled come from Google Fonts. Any
+ * other name (typed in the popup) is a font installed on this computer, which
+ * is used as is and never requested from Google.
+ * @param {string} fontName - A font family.
+ * @returns {boolean}
+ */
+function isGoogleFont(fontName) {
+  const font = FontCatalog.findFont(fontCatalog, fontName);
+  return Boolean(font) && !FontCatalog.isBundled(font);
+}
+
+function isCustomFont(fontName) {
+  return Boolean(fontName) && customFontFamilies.includes(fontName);
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
+/**
+ * Registers an uploaded font through the FontFace API. The files live in the
+ * extension's IndexedDB, which only the service worker can read for us.
+ * @param {string} fontName - An uploaded family.
+ * @param {string} [family] - The family name to register the faces under.
+ * @param {string} [unicodeRange] - Limits the faces to these characters.
+ * @returns {Promise<FontFace[]>} The faces added to document.fonts.
+ */
+async function registerCustomFont(fontName, family = fontName, unicodeRange) {
+  const { files } = await browser.runtime.sendMessage({
+    type: "GET_CUSTOM_FONT_FILES",
+    family: fontName,
+  });
+  return files.map((file) => {
+    const descriptors = {
+      weight: file.weight,
+      style: file.style,
+      display: "swap",
+    };
+    if (unicodeRange) descriptors.unicodeRange = unicodeRange;
+    const fontFace = new FontFace(
+      family,
+      base64ToArrayBuffer(file.data),
+      descriptors
+    );
+    document.fonts.add(fontFace);
+    return fontFace;
+  });
+}
+
+/**
+ * Makes a bundled or uploaded font available under its own name. Each font is
+ * registered once per page and kept, since the faces cost nothing while unused.
+ * @param {string} fontName - The font to load; other fonts are ignored.
+ */
+function loadExtensionFont(fontName) {
+  if (registeredExtensionFonts.has(fontName)) return;
+  let registration;
+  if (isBundledFont(fontName)) {
+    registration = registerBundledFont(fontName);
+  } else if (isCustomFont(fontName)) {
+    registration = registerCustomFont(fontName);
+  } else {
+    return;
+  }
+  registeredExtensionFonts.set(
+    fontName,
+    registration.catch((error) => {
+      registeredExtensionFonts.delete(fontName);
+      console.error(`[FontChanger] Error registering font ${fontName}:`, error);
+    })
+  );
+}
+
+async function loadCustomFontFamilies() {
+  const data = await browser.storage.local.get(CUSTOM_FONT_FAMILIES_KEY);
+  customFontFamilies = data[CUSTOM_FONT_FAMILIES_KEY] || [];
+}
+
+async function loadFontCatalog() {
+  try {
+    fontCatalog = await FontCatalog.loadCatalog();
+  } catch (error) {
+    // Without the catalog every font is used as an installed one.
+    console.error("[FontChanger] Error reading the font catalog:", error);
+  }
+}
+
+/**
+ * Returns the `family` value of a Google Fonts css2 URL for one font.
+ * @param {string} fontName - The font family.
+ * @param {string} fontWeight - The selected weight, if any.
+ * @returns {string} e.g. "Vazirmatn:wght@100..900".
+ */
+function getGoogleFontFamilyParam(fontName, fontWeight) {
+  let weightParam = "";
+  if (fontWeight && String(fontWeight).trim() !== "") {
+    // Every weight the catalog lists is requested, so bold text keeps its own face.
+    const font = FontCatalog.findFont(fontCatalog, fontName);
+    const catalogWeights = font
+      ? FontCatalog.getGoogleFontsWeightParam(font)
+      : "";
+    if (catalogWeights) {
+      weightParam = `:wght@${catalogWeights}`;
+    } else if (!isNaN(parseInt(fontWeight))) {
+      weightParam = `:wght@${fontWeight}`;
+    }
+  }
+  return fontName.replace(/ /g, "+") + weightParam;
+}
+
+/**
+ * Builds one Google Fonts stylesheet URL for several families.
+ * @param {string[]} fontNames - The font families.
+ * @param {string} fontWeight - The selected weight, if any.
+ * @returns {string}
+ */
+function buildGoogleFontUrl(fontNames, fontWeight) {
+  const familyParams = fontNames.map(
+    (fontName) => `family=${getGoogleFontFamilyParam(fontName, fontWeight)}`
+  );
+  return `https://fonts.googleapis.com/css2?${familyParams.join(
+    "&"
+  )}&display=swap`;
+}
+
+/**
+ * True when Arabic-script and Latin text get different fonts.
+ */
+function usesScriptMix(font, latinFont) {
+  return Boolean(font && latinFont && font !== latinFont);
+}
+
+/**
+ * Builds the font-family value of the override.
+ * @param {string} font - The page (Arabic/Persian) font.
+ * @param {string} latinFont - The Latin font, if one is chosen.
+ * @returns {string} The value, or "" if no font is chosen.
+ */
+function buildFontFamilyValue(font, latinFont) {
+  if (usesScriptMix(font, latinFont)) {
+    // The plain families follow the mix in case it could not be declared.
+    return `"${SCRIPT_MIX_FONT_FAMILY}", "${latinFont}", "${font}", Tahoma, sans-serif`;
+  }
+  const singleFont = font || latinFont;
+  return singleFont ? `"${singleFont}", Tahoma, sans-serif` : "";
+}
+
+/**
+ * Returns the @font-face rules of one font for one script, renamed to
+ * SCRIPT_MIX_FONT_FAMILY.
+ * @param {string} fontName - The font family.
+ * @param {string} fontWeight - The selected weight, if any.
+ * @param {boolean} arabicScript - Whether to keep the Arabic-script faces or all the others.
+ * @returns {Promise<string>}
+ */
+async function getScriptMixFontFaces(fontName, fontWeight, arabicScript) {
+  if (!isGoogleFont(fontName)) {
+    const unicodeRange = arabicScript
+      ? ` unicode-range: ${ARABIC_SCRIPT_UNICODE_RANGE};`
+      : "";
+    return `@font-face { font-family: "${SCRIPT_MIX_FONT_FAMILY}"; src: local("${fontName}");${unicodeRange} }\n`;
+  }
+
+  const url = buildGoogleFontUrl([fontName], fontWeight);
+  if (!googleFontCssCache.has(url)) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    googleFontCssCache.set(url, await response.text());
+  }
+
+  // Google Fonts splits every family into unicode-range subsets.
+  const fontFaceRegex = /\/\*\s*([\w-]+)\s*\*\/\s*(@font-face\s*\{[^}]*\})/g;
+  let fontFaces = "";
+  for (const [, subset, fontFace] of googleFontCssCache
+    .get(url)
+    .matchAll(fontFaceRegex)) {
+    if (ARABIC_SCRIPT_SUBSETS.includes(subset) !== arabicScript) continue;
+    fontFaces +=
+      fontFace.replace(
+        /font-family:[^;]+;/,
+        `font-family: "${SCRIPT_MIX_FONT_FAMILY}";`
+      ) + "\n";
+  }
+  return fontFaces;
+}
+
+/**
+ * Declares SCRIPT_MIX_FONT_FAMILY so that, inside the same paragraph,
+ * Arabic-script characters use `font` and all other characters use `latinFont`.
+ * @param {string} font - The page (Arabic/Persian) font.
+ * @param {string} latinFont - The Latin font.
+ * @param {string} fontWeight - The selected weight, if any.
+ */
+async function loadScriptMixFont(font, latinFont, fontWeight) {
+  const scriptMixKey = usesScriptMix(font, latinFont)
+    ? `${font}|${latinFont}|${fontWeight || ""}`
+    : null;
+  if (
+    scriptMixKey === currentScriptMixKey &&
+    (!scriptMixKey || document.getElementById(SCRIPT_MIX_STYLE_TAG_ID))
+  )
+    return;
+  currentScriptMixKey = scriptMixKey;
+  document.getElementById(SCRIPT_MIX_STYLE_TAG_ID)?.remove();
+  scriptMixFontFaces.forEach((fontFace) => document.fonts.delete(fontFace));
+  scriptMixFontFaces = [];
+  if (!scriptMixKey) return;
+
+  const addedFontFaces = [];
+  try {
+    // Where the two ranges overlap, the face declared last wins, so the
+    // Arabic-script faces come second.
+    let fontFacesCss = "";
+    for (const [fontName, arabicScript] of [
+      [latinFont, false],
+      [font, true],
+    ]) {
+      if (isBundledFont(fontName)) {
+        addedFontFaces.push(
+          ...(await registerBundledFont(fontName, SCRIPT_MIX_FONT_FAMILY, [
+            arabicScript ? "arabic" : "latin",
+          ]))
+        );
+      } else if (isCustomFont(fontName)) {
+        // Uploaded files have no subsets; the Arabic-script faces are limited
+        // to those characters and, being added last, win them.
+        addedFontFaces.push(
+          ...(await registerCustomFont(
+            fontName,
+            SCRIPT_MIX_FONT_FAMILY,
+            arabicScript ? window.FONT_SUBSET_UNICODE_RANGES.arabic : undefined
+          ))
+        );
+      } else {
+        fontFacesCss += await getScriptMixFontFaces(
+          fontName,
+          fontWeight,
+          arabicScript
+        );
+      }
+    }
+    if (scriptMixKey !== currentScriptMixKey) {
+      addedFontFaces.forEach((fontFace) => document.fonts.delete(fontFace));
+      return;
+    }
+    scriptMixFontFaces = addedFontFaces;
+    const styleElement = document.createElement("style");
+    styleElement.id = SCRIPT_MIX_STYLE_TAG_ID;
+    styleElement.textContent = fontFacesCss;
+    (document.head || document.documentElement).appendChild(styleElement);
+  } catch (error) {
+    addedFontFaces.forEach((fontFace) => document.fonts.delete(fontFace));
+    if (scriptMixKey === currentScriptMixKey) currentScriptMixKey = null;
+    console.warn(
+      `[FontChanger] Could not combine ${font} and ${latinFont}; using them as fallbacks:`,
+      error
+    );
+  }
+}
+
+/**
+ * @returns {string[]} Every font the applied settings use, without repeats.
+ */
+function getAppliedFontNames() {
+  return [
+    ...new Set([
+      currentAppliedFont,
+      currentAppliedLatinFont,
+      currentAppliedRoleSettings.headingFont,
+      currentAppliedRoleSettings.formFont,
+      currentAppliedRoleSettings.monoFont,
+    ]),
+  ].filter(Boolean);
+}
+
+/**
+ * The weight that decides which weights are requested from Google Fonts.
+ * @returns {string}
+ */
+function getAppliedGoogleFontWeight() {
+  return (
+    currentAppliedFontWeight || currentAppliedRoleSettings.headingFontWeight
+  );
+}
 
 /**
  * [MODIFIED] Removes the old font link and creates a new one.
  * This is a more robust method than just updating the href, ensuring
  * the new font is fetched and applied immediately without a page refresh.
+ * Only Google fonts are requested here: bundled and uploaded fonts are
+ * registered by loadExtensionFont and installed fonts need no loading.
+ * @param {string[]} fontNames - The fonts the page uses.
+ * @param {string} fontWeight - The selected weight, if any.
  */
-function loadGoogleFont(fontName, fontWeight) {
+function loadGoogleFont(fontNames, fontWeight) {
   const head = document.head || document.documentElement;
   const hostname = window.location.hostname;
 
@@ -36,47 +459,15 @@ function loadGoogleFont(fontName, fontWeight) {
     existingLink.remove();
   }
 
-  // 2. If no font is selected or it's a system font, we are done.
-  if (!fontName) {
-    sessionStore.remove(hostname);
-    return;
-  }
-  const systemFonts = ["Tahoma", "Arial", "Times New Roman", "Georgia"];
-  if (systemFonts.includes(fontName)) {
+  // 2. If no font is selected or none of them comes from Google Fonts, we are done.
+  const fontsToLoad = [...new Set(fontNames)].filter(isGoogleFont);
+  if (fontsToLoad.length === 0) {
     sessionStore.remove(hostname);
     return;
   }
 
-  // 3. Build the new Google Fonts URL.
-  let urlFontName = fontName.replace(/ /g, "+");
-  let googleFontUrl = `https://fonts.googleapis.com/css2?family=${urlFontName}`;
-  let weightParam = "";
-  if (fontWeight && fontWeight.trim() !== "") {
-    const variableFontsFullRange = {
-      Vazirmatn: "100..900",
-      "Noto Sans Arabic": "100..900",
-      Montserrat: "100..900",
-      Cairo: "200..1000",
-      Nunito: "200..1000",
-      Tajawal: "200..900",
-      "Open Sans": "300..800",
-      Changa: "200..800",
-    };
-    const specificWeightsFonts = {
-      Roboto: "100;300;400;500;700;900",
-      Lato: "100;300;400;700;900",
-      Almarai: "300;400;700;800",
-    };
-    if (variableFontsFullRange[fontName]) {
-      weightParam = `:wght@${variableFontsFullRange[fontName]}`;
-    } else if (specificWeightsFonts[fontName]) {
-      weightParam = `:wght@${specificWeightsFonts[fontName]}`;
-    } else if (!isNaN(parseInt(fontWeight))) {
-      weightParam = `:wght@${fontWeight}`;
-    }
-  }
-  if (weightParam) googleFontUrl += weightParam;
-  googleFontUrl += (googleFontUrl.includes("?") ? "&" : "?") + "display=swap";
+  // 3. Build the new Google Fonts URL (one request for all the fonts).
+  const googleFontUrl = buildGoogleFontUrl(fontsToLoad, fontWeight);
 
   // 4. Create and append the new link tag.
   const linkElement = document.createElement("link");
@@ -92,7 +483,9 @@ function loadGoogleFont(fontName, fontWeight) {
   linkElement.onerror = () => {
     // Font loading failed, likely due to CSP.
     console.warn(
-      `[FontChanger] Font loading blocked by site policy (CSP) or network error: ${fontName}`
+      `[FontChanger] Font loading blocked by site policy (CSP) or network error: ${fontsToLoad.join(
+        ", "
+      )}`
     );
     sessionStore.set({ [hostname]: { cspBlocked: true } });
   };
@@ -100,151 +493,1108 @@ function loadGoogleFont(fontName, fontWeight) {
   head.appendChild(linkElement);
 }
 
-function getAllShadowRoots(element = document.documentElement) {
-  const roots = new Set();
-  const elementsToProcess = [element];
-  while (elementsToProcess.length > 0) {
-    const currentElement = elementsToProcess.shift();
-    if (
-      currentElement &&
-      currentElement.shadowRoot &&
-      !roots.has(currentElement.shadowRoot)
-    ) {
-      roots.add(currentElement.shadowRoot);
-      try {
-        elementsToProcess.push(
-          ...currentElement.shadowRoot.querySelectorAll("*")
-        );
-      } catch (e) {}
-    }
-    if (currentElement && currentElement.children) {
-      elementsToProcess.push(...Array.from(currentElement.children));
-    }
+/**
+ * Finds the open shadow roots of an element and its descendants, including
+ * the ones nested in other shadow trees.
+ * @param {Element} element - The subtree to search.
+ * @returns {ShadowRoot[]}
+ */
+function getAllShadowRoots(element = document.documentElement) {
+  const roots = [];
+  if (!element) return roots;
+  const visit = (currentElement) => {
+    const shadowRoot = currentElement.shadowRoot;
+    if (!shadowRoot) return;
+    roots.push(shadowRoot);
+    shadowRoot.querySelectorAll("*").forEach(visit);
+  };
+  if (element.nodeType === Node.ELEMENT_NODE) visit(element);
+  element.querySelectorAll("*").forEach(visit);
+  return roots;
+}
+
+/**
+ * Classifies a piece of text as RTL or LTR by comparing the number of
+ * Arabic-script/Hebrew letters with the number of Latin/Greek/Cyrillic letters.
+ * A tie is broken by the first strong character.
+ * @param {string} text - The text to inspect.
+ * @returns {"rtl"|"ltr"|null} The detected direction, or null if the text has no letters.
+ */
+function detectTextDirection(text) {
+  const sample = (text || "").slice(0, AUTO_DIRECTION_SAMPLE_LENGTH);
+  const rtlCount = (sample.match(RTL_CHAR_REGEX) || []).length;
+  const ltrCount = (sample.match(LTR_CHAR_REGEX) || []).length;
+  if (rtlCount === 0 && ltrCount === 0) return null;
+  if (rtlCount !== ltrCount) return rtlCount > ltrCount ? "rtl" : "ltr";
+  const firstStrongChar = sample.match(FIRST_STRONG_CHAR_REGEX)[0];
+  return new RegExp(`[${RTL_CHAR_RANGES}]`).test(firstStrongChar)
+    ? "rtl"
+    : "ltr";
+}
+
+/**
+ * Returns the text used to decide a block's direction. Wrapper <div>s would
+ * otherwise report the text of the whole page, so only their own text nodes count.
+ */
+function getBlockTextSample(element) {
+  if (element.tagName !== "DIV") return element.textContent;
+  let text = "";
+  for (const child of element.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) text += child.nodeValue;
+  }
+  return text;
+}
+
+function updateAutoDirectionForElement(element) {
+  if (
+    !element.matches(AUTO_DIRECTION_BLOCK_SELECTOR) ||
+    element.closest(AUTO_DIRECTION_SKIP_SELECTOR) ||
+    // Respect an explicit direction set by the site itself.
+    (element.hasAttribute("dir") &&
+      !element.hasAttribute(AUTO_DIRECTION_ATTRIBUTE))
+  )
+    return;
+
+  const detectedDirection = detectTextDirection(getBlockTextSample(element));
+  if (detectedDirection) {
+    if (element.getAttribute(AUTO_DIRECTION_ATTRIBUTE) !== detectedDirection)
+      element.setAttribute(AUTO_DIRECTION_ATTRIBUTE, detectedDirection);
+  } else if (element.hasAttribute(AUTO_DIRECTION_ATTRIBUTE)) {
+    element.removeAttribute(AUTO_DIRECTION_ATTRIBUTE);
+  }
+}
+
+/**
+ * Detects and marks the direction of every text block inside an element,
+ * including blocks inside any shadow roots below it.
+ * @param {Element} rootElement - The subtree to process.
+ */
+function applyAutoDirection(rootElement) {
+  if (!rootElement || rootElement.nodeType !== Node.ELEMENT_NODE) return;
+  updateAutoDirectionForElement(rootElement);
+  rootElement
+    .querySelectorAll(AUTO_DIRECTION_BLOCK_SELECTOR)
+    .forEach(updateAutoDirectionForElement);
+  getAllShadowRoots(rootElement).forEach((shadowRoot) =>
+    shadowRoot
+      .querySelectorAll(AUTO_DIRECTION_BLOCK_SELECTOR)
+      .forEach(updateAutoDirectionForElement)
+  );
+}
+
+function clearAutoDirection() {
+  pendingAutoDirectionRoots.clear();
+  pendingAutoDirectionBlocks.clear();
+  const selector = `[${AUTO_DIRECTION_ATTRIBUTE}]`;
+  [document, ...getAllShadowRoots(document.documentElement)].forEach((root) =>
+    root
+      .querySelectorAll(selector)
+      .forEach((el) => el.removeAttribute(AUTO_DIRECTION_ATTRIBUTE))
+  );
+}
+
+/**
+ * Remembers which parts of the page changed so only they are re-examined.
+ * Added subtrees are scanned fully; the block that received new children is
+ * re-examined on its own because its text may have changed.
+ */
+function queueAutoDirectionMutation(mutation) {
+  if (mutation.type !== "childList") return;
+  mutation.addedNodes.forEach((node) => {
+    if (node.nodeType === Node.ELEMENT_NODE)
+      pendingAutoDirectionRoots.add(node);
+  });
+  if (mutation.target.nodeType === Node.ELEMENT_NODE) {
+    const block = mutation.target.closest(AUTO_DIRECTION_BLOCK_SELECTOR);
+    if (block) pendingAutoDirectionBlocks.add(block);
+  }
+}
+
+function flushAutoDirectionQueue() {
+  pendingAutoDirectionRoots.forEach((node) => {
+    if (node.isConnected) applyAutoDirection(node);
+  });
+  pendingAutoDirectionBlocks.forEach((block) => {
+    if (block.isConnected) updateAutoDirectionForElement(block);
+  });
+  pendingAutoDirectionRoots.clear();
+  pendingAutoDirectionBlocks.clear();
+}
+
+// --- Text Alignment ---
+
+// Elements whose alignment follows a forced direction.
+const ALIGNMENT_SELECTOR =
+  "body, div, p, section, article, main, header, footer, nav, aside, h1, h2, h3, h4, h5, h6, li, ul, ol, dt, dd, blockquote, figcaption, caption, td, th, label, input, textarea";
+// Marks an element the site aligns to the left or right with the logical side
+// that alignment stands for: "start" or "end".
+const ALIGNMENT_ATTRIBUTE = "data-fdc-align";
+
+// The page's own direction, read before anything here changes it.
+let siteRootDirection = null;
+
+/**
+ * @returns {"rtl"|"ltr"} The direction of the page as its site made it.
+ */
+function getSiteRootDirection() {
+  if (!siteRootDirection) {
+    // The styles injected at document_start already force a direction.
+    const direction = EarlyStyles.getInjectedCss()
+      ? EarlyStyles.getOriginalDir()
+      : getComputedStyle(document.documentElement).direction;
+    siteRootDirection = direction === "rtl" ? "rtl" : "ltr";
+  }
+  return siteRootDirection;
+}
+
+/**
+ * The direction the site gives an element. Computed styles already carry the
+ * forced direction, so it comes from the nearest dir attribute the site set.
+ * @param {Element} element
+ * @returns {"rtl"|"ltr"}
+ */
+function getSiteDirection(element) {
+  const dirElement = element.closest("[dir]");
+  if (
+    !dirElement ||
+    dirElement === document.documentElement ||
+    dirElement === document.body ||
+    knownShadowRoots.has(dirElement.shadowRoot)
+  )
+    return getSiteRootDirection();
+  const dir = dirElement.getAttribute("dir").toLowerCase();
+  return dir === "rtl" || dir === "ltr" ? dir : getSiteRootDirection();
+}
+
+/**
+ * Finds the logical side the site aligns an element to. Centered and
+ * justified text keeps its alignment, and so does text already aligned to
+ * "start" or "end", which follows the forced direction by itself.
+ * @param {Element} element - An element with no alignment mark.
+ * @returns {"start"|"end"|null} The side, or null to leave the element alone.
+ */
+function getSiteAlignment(element) {
+  const textAlign = getComputedStyle(element).textAlign;
+  if (textAlign !== "left" && textAlign !== "right") return null;
+  return (textAlign === "left") === (getSiteDirection(element) === "ltr")
+    ? "start"
+    : "end";
+}
+
+/**
+ * Marks the left- and right-aligned elements inside a root with their logical
+ * side, including those in shadow roots below it. Every alignment is read
+ * before any mark is set, so the page's styles are computed only once.
+ * @param {Document|Element} root - The subtree to process.
+ */
+function applyLogicalAlignment(root) {
+  if (!root) return;
+  const elements = [...root.querySelectorAll(ALIGNMENT_SELECTOR)];
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(ALIGNMENT_SELECTOR))
+    elements.unshift(root);
+  getAllShadowRoots(
+    root.nodeType === Node.ELEMENT_NODE ? root : root.documentElement
+  ).forEach((shadowRoot) =>
+    elements.push(...shadowRoot.querySelectorAll(ALIGNMENT_SELECTOR))
+  );
+  elements
+    .filter((element) => !element.hasAttribute(ALIGNMENT_ATTRIBUTE))
+    .map((element) => [element, getSiteAlignment(element)])
+    .forEach(([element, alignment]) => {
+      if (alignment) element.setAttribute(ALIGNMENT_ATTRIBUTE, alignment);
+    });
+}
+
+function clearLogicalAlignment() {
+  const selector = `[${ALIGNMENT_ATTRIBUTE}]`;
+  [document, ...getAllShadowRoots(document.documentElement)].forEach((root) =>
+    root
+      .querySelectorAll(selector)
+      .forEach((el) => el.removeAttribute(ALIGNMENT_ATTRIBUTE))
+  );
+}
+
+/**
+ * @returns {boolean} True while a direction is applied, which is when
+ *   alignment follows it.
+ */
+function isAligningText() {
+  return ["rtl", "ltr", "auto"].includes(currentAppliedDirection);
+}
+
+// --- Relative Font Scaling ---
+
+// Marks an element with its own font size in px, as the site sets it. In the
+// "scale" font size mode, one rule per measured size scales those elements.
+const FONT_SIZE_ATTRIBUTE = "data-fdc-size";
+// Elements that have no size of their own to scale.
+const FONT_SIZE_SKIP_TAGS = ["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT", "BR"];
+
+// The distinct sizes of the marked elements, each of which gets its rule.
+const measuredFontSizes = new Set();
+
+/**
+ * @returns {boolean} True while font sizes are scaled rather than replaced.
+ */
+function isScalingFontSize() {
+  return (
+    currentAppliedFontSizeMode === "scale" &&
+    Boolean(currentAppliedFontScale || currentAppliedMinFontSize)
+  );
+}
+
+/**
+ * Marks the unmarked elements inside some roots, including the shadow roots
+ * below them, with the font size the site gives them. A size inherited from,
+ * or relative to, an element that is already scaled would be scaled twice, so
+ * the whole page is read with the overrides off, and added subtrees with the
+ * marked element above them back at its own size (see unscaleAncestors).
+ * @param {(Document|Element)[]} roots - The subtrees to measure.
+ * @returns {boolean} True if a size was found that has no rule yet.
+ */
+function measureFontSizes(roots) {
+  const elements = [];
+  const collect = (element) => {
+    if (
+      !FONT_SIZE_SKIP_TAGS.includes(element.tagName) &&
+      !element.hasAttribute(FONT_SIZE_ATTRIBUTE)
+    )
+      elements.push(element);
+  };
+  roots.forEach((root) => {
+    const rootElement = root === document ? document.body : root;
+    if (!rootElement) return;
+    collect(rootElement);
+    rootElement.querySelectorAll("*").forEach(collect);
+    getAllShadowRoots(rootElement).forEach((shadowRoot) =>
+      shadowRoot.querySelectorAll("*").forEach(collect)
+    );
+  });
+  if (elements.length === 0) return false;
+
+  const isWholePage = roots.includes(document);
+  const restoreAncestors = isWholePage ? null : unscaleAncestors(roots);
+  if (isWholePage) setOverrideStylesDisabled(true);
+  const sizes = elements.map(
+    (element) => parseFloat(getComputedStyle(element).fontSize) || 0
+  );
+  if (isWholePage) setOverrideStylesDisabled(false);
+  else restoreAncestors();
+
+  let hasNewSize = false;
+  elements.forEach((element, index) => {
+    if (!sizes[index]) return;
+    const size = String(Math.round(sizes[index] * 100) / 100);
+    element.setAttribute(FONT_SIZE_ATTRIBUTE, size);
+    if (!measuredFontSizes.has(size)) {
+      measuredFontSizes.add(size);
+      hasNewSize = true;
+    }
+  });
+  return hasNewSize;
+}
+
+/**
+ * Gives the closest marked ancestor of each subtree the size the site sets,
+ * as an inline style that outranks the scaling rules. Only those subtrees are
+ * restyled, rather than the whole page as when the overrides are turned off.
+ * @param {Element[]} roots - The added subtrees.
+ * @returns {Function} Puts the ancestors' own inline font size back.
+ */
+function unscaleAncestors(roots) {
+  const ancestors = new Set();
+  roots.forEach((root) => {
+    // Shadow roots have no parent node but lead to their host.
+    let ancestor = root.parentNode;
+    while (
+      ancestor &&
+      !(
+        ancestor.nodeType === Node.ELEMENT_NODE &&
+        ancestor.hasAttribute(FONT_SIZE_ATTRIBUTE)
+      )
+    ) {
+      ancestor = ancestor.parentNode || ancestor.host;
+    }
+    if (ancestor) ancestors.add(ancestor);
+  });
+  const restorers = [...ancestors].map((ancestor) => {
+    const { style } = ancestor;
+    const value = style.getPropertyValue("font-size");
+    const priority = style.getPropertyPriority("font-size");
+    const styleAttribute = ancestor.getAttribute("style");
+    style.setProperty(
+      "font-size",
+      `${ancestor.getAttribute(FONT_SIZE_ATTRIBUTE)}px`,
+      "important"
+    );
+    return () => {
+      if (styleAttribute === null) ancestor.removeAttribute("style");
+      else if (value) style.setProperty("font-size", value, priority);
+      else style.removeProperty("font-size");
+    };
+  });
+  return () => restorers.forEach((restore) => restore());
+}
+
+function clearFontSizeMarks() {
+  measuredFontSizes.clear();
+  const selector = `[${FONT_SIZE_ATTRIBUTE}]`;
+  [document, ...getAllShadowRoots(document.documentElement)].forEach((root) =>
+    root
+      .querySelectorAll(selector)
+      .forEach((el) => el.removeAttribute(FONT_SIZE_ATTRIBUTE))
+  );
+}
+
+/**
+ * Builds the rules that scale every measured size.
+ * @param {string} fontScale - The scale in percent; "" keeps the sizes.
+ * @param {string} minFontSize - The smallest size in px, if any.
+ * @param {string} elementFilter - Appended to every selector (exclusions and scope).
+ * @returns {string}
+ */
+function buildFontScaleCss(fontScale, minFontSize, elementFilter) {
+  const factor = (parseFloat(fontScale) || 100) / 100;
+  const minSize = parseFloat(minFontSize) || 0;
+  let cssRules = "";
+  measuredFontSizes.forEach((size) => {
+    const scaledSize = Math.max(parseFloat(size) * factor, minSize);
+    if (scaledSize === parseFloat(size)) return;
+    cssRules += ` [${FONT_SIZE_ATTRIBUTE}="${size}"]${elementFilter} { font-size: ${
+      Math.round(scaledSize * 100) / 100
+    }px !important; } `;
+  });
+  return cssRules;
+}
+
+// --- Live Input Direction ---
+
+// Fields whose direction follows what is typed in them. Rich editors get one
+// direction per line (see LIVE_DIRECTION_LINE_SELECTOR).
+const LIVE_DIRECTION_FIELD_SELECTOR =
+  "textarea, input:not([type]), input[type='text'], input[type='search'], [contenteditable]:not([contenteditable='false'])";
+const LIVE_DIRECTION_LINE_SELECTOR =
+  "p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre";
+const FIRST_STRONG_RTL_CHAR_REGEX = new RegExp(`[${RTL_CHAR_RANGES}]`);
+
+// The elements given a direction here, with their dir attribute and inline
+// direction from before, so that they can be given back.
+const liveDirectionElements = new Map();
+
+/**
+ * @returns {boolean} True while fields follow the direction of their text.
+ */
+function isLiveDirectionOn() {
+  return currentAppliedInputDirection === "on";
+}
+
+/**
+ * @param {string} text - The text of a field or a line.
+ * @returns {"rtl"|"ltr"|null} The direction of its first strong character,
+ *   or null if it has none yet.
+ */
+function getFirstStrongDirection(text) {
+  const firstStrongChar = (text || "").match(FIRST_STRONG_CHAR_REGEX)?.[0];
+  if (!firstStrongChar) return null;
+  return FIRST_STRONG_RTL_CHAR_REGEX.test(firstStrongChar) ? "rtl" : "ltr";
+}
+
+/**
+ * Gives an element a direction, or its own back for null. The inline style
+ * wins over a page-wide direction, which is set with !important.
+ * @param {Element} element - A field or a line of a rich editor.
+ * @param {"rtl"|"ltr"|null} direction
+ */
+function setLiveDirection(element, direction) {
+  if (!direction) {
+    restoreLiveDirection(element);
+    return;
+  }
+  if (!liveDirectionElements.has(element)) {
+    liveDirectionElements.set(element, {
+      dir: element.getAttribute("dir"),
+      direction: element.style.getPropertyValue("direction"),
+      priority: element.style.getPropertyPriority("direction"),
+    });
+  }
+  if (element.getAttribute("dir") !== direction)
+    element.setAttribute("dir", direction);
+  element.style.setProperty("direction", direction, "important");
+}
+
+function restoreLiveDirection(element) {
+  const original = liveDirectionElements.get(element);
+  if (!original) return;
+  liveDirectionElements.delete(element);
+  if (original.dir === null) element.removeAttribute("dir");
+  else element.setAttribute("dir", original.dir);
+  if (original.direction)
+    element.style.setProperty(
+      "direction",
+      original.direction,
+      original.priority
+    );
+  else element.style.removeProperty("direction");
+}
+
+function clearLiveDirection() {
+  [...liveDirectionElements.keys()].forEach(restoreLiveDirection);
+}
+
+/**
+ * Finds the line of a rich editor that holds the caret.
+ * @param {Element} editor - A contenteditable element.
+ * @returns {Element} The line, or the editor itself when it has no lines.
+ */
+function getEditingLine(editor) {
+  const root = editor.getRootNode();
+  const selection = root.getSelection ? root.getSelection() : getSelection();
+  const node = selection?.anchorNode;
+  if (!node || !editor.contains(node)) return editor;
+  const element =
+    node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const line = element?.closest(LIVE_DIRECTION_LINE_SELECTOR);
+  return line && line !== editor && editor.contains(line) ? line : editor;
+}
+
+/**
+ * Sets the direction of the field an input or focus event came from.
+ * Editors nested in shadow trees are reached through the composed path.
+ * @param {Event} event - An "input" or "focusin" event.
+ */
+function handleLiveDirectionEvent(event) {
+  if (!isLiveDirectionOn()) return;
+  const target = event.composedPath()[0];
+  if (!(target instanceof Element)) return;
+  const field = target.closest(LIVE_DIRECTION_FIELD_SELECTOR);
+  if (!field) return;
+  if (field.isContentEditable) {
+    const line = getEditingLine(field);
+    setLiveDirection(line, getFirstStrongDirection(line.textContent));
+  } else {
+    setLiveDirection(field, getFirstStrongDirection(field.value));
+  }
+}
+
+document.addEventListener("input", handleLiveDirectionEvent, true);
+document.addEventListener("focusin", handleLiveDirectionEvent, true);
+
+// --- Text Rewriting (digits and Persian normalization) ---
+
+// The numeral systems page digits can be converted to, by "digits" setting.
+const DIGIT_SETS = {
+  latin: "0123456789",
+  persian: "۰۱۲۳۴۵۶۷۸۹",
+  arabic: "٠١٢٣٤٥٦٧٨٩",
+};
+const DIGIT_REGEX = /[0-9\u0660-\u0669\u06F0-\u06F9]/g;
+const HAS_DIGIT_REGEX = /[0-9\u0660-\u0669\u06F0-\u06F9]/;
+// Runs of digits, Latin letters and joiners such as "." and "-": the digits of
+// one that has a Latin letter ("v2.0", "H2O", "mp3") belong to a name and are
+// kept.
+const DIGIT_WORD_REGEX = /[\w.\-\u0660-\u0669\u06F0-\u06F9]+/g;
+const LATIN_LETTER_REGEX = /[a-z]/i;
+const HAS_ARABIC_SCRIPT_REGEX = /[\u0600-\u06FF]/;
+// Arabic Kaf, Yeh and Alef Maksura become the Persian letters, but only in
+// text that has letters Arabic does not use: Arabic keeps "في" and "على".
+const PERSIAN_LETTER_RULES = [
+  [/\u0643/g, "\u06A9"],
+  [/[\u0649\u064A]/g, "\u06CC"],
+];
+const PERSIAN_LETTER_REGEX = /[\u067E\u0686\u0698\u06A9\u06AF\u06CC]/;
+// The ZWNJ fixes of the "normalizePersian" setting, applied in order. Only
+// joins that cannot change a word are made: "تر" and "ترین" are words of their
+// own as often as suffixes ("لباس تر" is "wet clothes").
+const PERSIAN_NORMALIZATION_RULES = [
+  // "می شود" becomes "می‌شود": the verb prefixes are joined by a ZWNJ.
+  [/(^|[^\u0600-\u06FF\u200C])(ن?می) (?=[\u0600-\u06FF])/g, "$1$2\u200C"],
+  // "کتاب ها" becomes "کتاب‌ها": so is the plural suffix.
+  [
+    /([\u0600-\u06FF]) (ها|های|هایی|هایم|هایت|هایش|هایمان|هایتان|هایشان)(?![\u0600-\u06FF\u200C])/g,
+    "$1\u200C$2",
+  ],
+  // A ZWNJ next to a space joins nothing, and one is enough.
+  [/(\s)\u200C+|\u200C+(?=\s)/g, "$1"],
+  [/\u200C{2,}/g, "\u200C"],
+];
+// URLs, bare domains with a path and e-mail addresses are left as they are.
+const URL_LIKE_REGEX =
+  /(?:[a-z][a-z\d+.-]*:\/\/|www\.)\S+|[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\/\S*|\S+@\S+\.\S+/gi;
+// Text that is never rewritten: code, form controls, editable regions and
+// elements that are not rendered as text.
+const TEXT_REWRITE_SKIP_SELECTOR =
+  "script, style, noscript, template, pre, code, samp, kbd, var, input, textarea, select, [contenteditable]:not([contenteditable='false'])";
+// The original and rewritten text of every rewritten text node, so the
+// changes can be undone. Nodes that leave the page are simply forgotten.
+const rewrittenTextNodes = new WeakMap();
+// TEXT_REWRITE_SKIP_SELECTOR and the excluded selectors of the applied settings.
+let textRewriteSkipSelector = TEXT_REWRITE_SKIP_SELECTOR;
+// Text nodes added or changed since the last flush of the observer's queue.
+const pendingRewriteTextNodes = new Set();
+
+/**
+ * True while the applied settings change the text of the page.
+ */
+function isRewritingText() {
+  return (
+    Boolean(currentAppliedDigits) || currentAppliedNormalizePersian === "on"
+  );
+}
+
+/**
+ * @param {string} digit - A Latin, Arabic-Indic or Persian digit.
+ * @returns {number} Its value.
+ */
+function getDigitValue(digit) {
+  const code = digit.charCodeAt(0);
+  if (code >= 0x06f0) return code - 0x06f0;
+  if (code >= 0x0660) return code - 0x0660;
+  return code - 0x30;
+}
+
+/**
+ * Rewrites a text for display, leaving URL-like words alone.
+ * @param {string} text - The text to rewrite.
+ * @param {boolean} normalizePersian - Whether to apply PERSIAN_LETTER_RULES
+ *   (to Persian text) and PERSIAN_NORMALIZATION_RULES.
+ * @param {string} digits - A key of DIGIT_SETS, or "" to keep the digits.
+ * @returns {string}
+ */
+function rewriteText(text, normalizePersian, digits) {
+  const isPersianText = normalizePersian && PERSIAN_LETTER_REGEX.test(text);
+  const rewrite = (part) => {
+    let result = part;
+    const rules = [
+      ...(isPersianText ? PERSIAN_LETTER_RULES : []),
+      ...(normalizePersian ? PERSIAN_NORMALIZATION_RULES : []),
+    ];
+    rules.forEach(([pattern, replacement]) => {
+      result = result.replace(pattern, replacement);
+    });
+    if (digits) {
+      result = result.replace(DIGIT_WORD_REGEX, (word) =>
+        LATIN_LETTER_REGEX.test(word)
+          ? word
+          : word.replace(
+              DIGIT_REGEX,
+              (digit) => DIGIT_SETS[digits][getDigitValue(digit)]
+            )
+      );
+    }
+    return result;
+  };
+  let result = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(URL_LIKE_REGEX)) {
+    result += rewrite(text.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  return result + rewrite(text.slice(lastIndex));
+}
+
+/**
+ * Checks whether a text node may be rewritten: outside of code, form
+ * controls and excluded elements, and inside the scope, if any.
+ * @param {Text} textNode - The text node.
+ * @returns {boolean}
+ */
+function isTextRewriteTarget(textNode) {
+  const parent = textNode.parentElement;
+  if (!parent || parent.closest(textRewriteSkipSelector)) return false;
+  const scopeSelector = currentAppliedSelectorSettings.scopeSelector;
+  return !scopeSelector || isInsideScope(parent, scopeSelector);
+}
+
+/**
+ * @param {Text} textNode - The text node.
+ * @returns {boolean} True if the node holds something the applied settings
+ *   rewrite, or was rewritten before.
+ */
+function mayNeedRewriting(textNode) {
+  return (
+    rewrittenTextNodes.has(textNode) ||
+    (Boolean(currentAppliedDigits) && HAS_DIGIT_REGEX.test(textNode.data)) ||
+    (currentAppliedNormalizePersian === "on" &&
+      HAS_ARABIC_SCRIPT_REGEX.test(textNode.data))
+  );
+}
+
+/**
+ * Rewrites one text node for the applied settings, or gives it its original
+ * text back when it is no longer a target. Text the page wrote since the last
+ * rewrite becomes the new original.
+ * @param {Text} textNode - The text node.
+ */
+function rewriteTextNode(textNode) {
+  const entry = rewrittenTextNodes.get(textNode);
+  const original =
+    entry && entry.rewritten === textNode.data ? entry.original : textNode.data;
+  let rewritten = original;
+  if (isRewritingText() && isTextRewriteTarget(textNode)) {
+    // Quoted Arabic keeps its own letters.
+    const normalizePersian =
+      currentAppliedNormalizePersian === "on" &&
+      !textNode.parentElement.closest('[lang|="ar"]');
+    rewritten = rewriteText(
+      original,
+      normalizePersian,
+      currentAppliedDigits || ""
+    );
+  }
+  if (rewritten === original) rewrittenTextNodes.delete(textNode);
+  else rewrittenTextNodes.set(textNode, { original, rewritten });
+  if (textNode.data !== rewritten) textNode.data = rewritten;
+}
+
+/**
+ * Rewrites (or restores) the text nodes under a root.
+ * @param {Node} root - An element, the document or a shadow root.
+ */
+function rewriteTextInTree(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      mayNeedRewriting(node)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT,
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+  textNodes.forEach(rewriteTextNode);
+}
+
+/**
+ * Brings the page's text in line with the applied settings, or back to the
+ * original text when they rewrite nothing.
+ */
+function applyTextRewriting() {
+  textRewriteSkipSelector = [
+    TEXT_REWRITE_SKIP_SELECTOR,
+    ...(currentAppliedSelectorSettings.excludeSelectors || []).filter(
+      SiteRules.isValidSelector
+    ),
+  ].join(", ");
+  rewriteTextInTree(document.documentElement);
+  knownShadowRoots.forEach(rewriteTextInTree);
+}
+
+/**
+ * Remembers the text nodes a mutation added or changed.
+ */
+function queueTextRewriteMutation(mutation) {
+  if (mutation.type === "characterData") {
+    pendingRewriteTextNodes.add(mutation.target);
+    return;
+  }
+  mutation.addedNodes.forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) pendingRewriteTextNodes.add(node);
+  });
+}
+
+// The elements of the typographic roles that have their own rules.
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+const CODE_SELECTOR = "pre, code, kbd, samp";
+
+/**
+ * Builds the override CSS for one set of settings.
+ * @param {boolean} forDocument - True for the document, false for shadow roots.
+ * @returns {string} The CSS, empty if nothing is overridden.
+ */
+function buildOverrideCss(
+  forDocument,
+  font,
+  direction,
+  fontSize,
+  lineHeight,
+  fontWeight,
+  letterSpacing,
+  wordSpacing,
+  latinFont,
+  fontSizeMode,
+  fontScale,
+  minFontSize,
+  roleSettings = {},
+  selectorSettings = {}
+) {
+  let cssRules = "";
+  let baseElementStyles = "";
+  let formElementFontStyles = "";
+
+  const fontFamilyValue = buildFontFamilyValue(font, latinFont);
+  if (fontFamilyValue)
+    baseElementStyles += `font-family: ${fontFamilyValue} !important;`;
+  if (fontWeight) baseElementStyles += `font-weight: ${fontWeight} !important;`;
+  if (fontSize && fontSizeMode !== "scale")
+    baseElementStyles += `font-size: ${fontSize}px !important;`;
+  if (lineHeight) baseElementStyles += `line-height: ${lineHeight} !important;`;
+  if (letterSpacing)
+    baseElementStyles += `letter-spacing: ${letterSpacing}px !important;`;
+  if (wordSpacing)
+    baseElementStyles += `word-spacing: ${wordSpacing}px !important;`;
+
+  const formFontFamilyValue =
+    buildFontFamilyValue(roleSettings.formFont) || fontFamilyValue;
+  if (formFontFamilyValue)
+    formElementFontStyles += `font-family: ${formFontFamilyValue} !important;`;
+  if (fontWeight)
+    formElementFontStyles += `font-weight: ${fontWeight} !important;`;
+
+  // Limits every rule below to the scope element and its descendants.
+  const scopeSelector = SiteRules.isValidSelector(
+    selectorSettings.scopeSelector
+  )
+    ? selectorSettings.scopeSelector
+    : "";
+  const scopeFilter = scopeSelector
+    ? `:is(${scopeSelector}, :is(${scopeSelector}) *)`
+    : "";
+
+  // An invalid selector would void the whole rule, so those are dropped.
+  const excludeCssSelector = (selectorSettings.excludeSelectors || [])
+    .filter(SiteRules.isValidSelector)
+    .map((selector) => `:not(${selector})`)
+    .join("");
+
+  if (baseElementStyles) {
+    if (scopeFilter) {
+      cssRules += ` ${scopeFilter}${excludeCssSelector} { ${baseElementStyles} } `;
+    } else {
+      cssRules += ` :host ${excludeCssSelector}, * ${excludeCssSelector} { ${baseElementStyles} } `;
+    }
+    if (forDocument && !scopeFilter) {
+      cssRules += ` body ${excludeCssSelector} { ${baseElementStyles} } `;
+    }
+    // Always-restyled elements win over the exclusions above.
+    const includeSelectors = (selectorSettings.includeSelectors || []).filter(
+      SiteRules.isValidSelector
+    );
+    if (includeSelectors.length > 0) {
+      cssRules += ` :is(${includeSelectors.join(
+        ", "
+      )})${scopeFilter} { ${baseElementStyles} } `;
+    }
+  }
+
+  if (fontSizeMode === "scale") {
+    cssRules += buildFontScaleCss(
+      fontScale,
+      minFontSize,
+      excludeCssSelector + scopeFilter
+    );
+  }
+
+  if (formElementFontStyles) {
+    cssRules += ` :is(input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="image"]), textarea, select)${scopeFilter} { ${formElementFontStyles} } `;
+  }
+
+  // Headings and everything inside them, after the page rules they refine.
+  let headingStyles = "";
+  const headingFontFamilyValue = buildFontFamilyValue(roleSettings.headingFont);
+  if (headingFontFamilyValue)
+    headingStyles += `font-family: ${headingFontFamilyValue} !important;`;
+  if (roleSettings.headingFontWeight)
+    headingStyles += `font-weight: ${roleSettings.headingFontWeight} !important;`;
+  if (headingStyles) {
+    cssRules += ` :is(${HEADING_SELECTOR}, :is(${HEADING_SELECTOR}) *)${excludeCssSelector}${scopeFilter} { ${headingStyles} } `;
+  }
+
+  // A chosen monospace font reaches code even though it is excluded by default.
+  if (roleSettings.monoFont) {
+    cssRules += ` :is(${CODE_SELECTOR}, :is(${CODE_SELECTOR}) *)${scopeFilter} { font-family: "${roleSettings.monoFont}", monospace !important; } `;
+  }
+
+  if (direction === "rtl" || direction === "ltr") {
+    cssRules += ` ${
+      scopeFilter || ":host, *"
+    } { direction: ${direction} !important; } `;
+  } else if (direction === "auto") {
+    // Each block carries its own detected direction (see applyAutoDirection).
+    ["rtl", "ltr"].forEach((blockDirection) => {
+      cssRules += ` [${AUTO_DIRECTION_ATTRIBUTE}="${blockDirection}"]${scopeFilter} { direction: ${blockDirection} !important; } `;
+    });
+  }
+  // Blocks given their own direction from the context menu, after the page's.
+  Object.entries(SiteRules.BLOCK_DIRECTION_FIELDS).forEach(
+    ([field, blockDirection]) => {
+      const blockSelectors = (selectorSettings[field] || []).filter(
+        SiteRules.isValidSelector
+      );
+      if (blockSelectors.length === 0) return;
+      const blockSelector = blockSelectors.join(", ");
+      cssRules += ` :is(${blockSelector}, :is(${blockSelector}) *) { direction: ${blockDirection} !important; } `;
+    }
+  );
+  if (direction === "rtl" || direction === "ltr" || direction === "auto") {
+    // Logical values follow each element's direction (see applyLogicalAlignment).
+    ["start", "end"].forEach((alignment) => {
+      cssRules += ` [${ALIGNMENT_ATTRIBUTE}="${alignment}"]${scopeFilter} { text-align: ${alignment} !important; } `;
+    });
+  }
+
+  return cssRules;
+}
+
+// --- Style Injection ---
+
+/**
+ * Creates the constructable stylesheets that carry the overrides, or returns
+ * null where the page's document cannot adopt them; every root then gets a
+ * <style> tag instead.
+ * @returns {{document: CSSStyleSheet, shadowRoot: CSSStyleSheet}|null}
+ */
+function createOverrideSheets() {
+  try {
+    const sheets = {
+      document: new CSSStyleSheet(),
+      shadowRoot: new CSSStyleSheet(),
+    };
+    const adoptedSheets = [...document.adoptedStyleSheets];
+    document.adoptedStyleSheets = [...adoptedSheets, sheets.document];
+    document.adoptedStyleSheets = adoptedSheets;
+    return sheets;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Rebuilds the override CSS from the applied settings. With constructable
+ * sheets this is one replaceSync per sheet, whichever roots have adopted it.
+ */
+function updateOverrideStyles() {
+  const settings = [
+    currentAppliedFont,
+    currentAppliedDirection,
+    currentAppliedFontSize,
+    currentAppliedLineHeight,
+    currentAppliedFontWeight,
+    currentAppliedLetterSpacing,
+    currentAppliedWordSpacing,
+    currentAppliedLatinFont,
+    currentAppliedFontSizeMode,
+    currentAppliedFontScale,
+    currentAppliedMinFontSize,
+    currentAppliedRoleSettings,
+  ];
+  documentOverrideCss = buildOverrideCss(
+    true,
+    ...settings,
+    currentAppliedSelectorSettings
+  );
+  // The scope is checked per shadow root instead (see styleShadowRoot).
+  shadowRootOverrideCss = buildOverrideCss(false, ...settings, {
+    ...currentAppliedSelectorSettings,
+    scopeSelector: "",
+  });
+  if (overrideSheets) {
+    overrideSheets.document.replaceSync(documentOverrideCss);
+    overrideSheets.shadowRoot.replaceSync(shadowRootOverrideCss);
+  }
+  attachOverrideStyles(document);
+  // The styles injected at document_start stay as long as they match, so
+  // that the fonts they load are not dropped and loaded again.
+  if (EarlyStyles.getInjectedCss() !== buildEarlyStylesCss()) {
+    EarlyStyles.remove();
+  }
+}
+
+/**
+ * Gives a root its override CSS, keeping the stylesheets the page adopted.
+ * Calling it again for the same root only catches up on changed CSS.
+ * @param {Document|ShadowRoot} root - The document or a shadow root.
+ */
+function attachOverrideStyles(root) {
+  const css = root === document ? documentOverrideCss : shadowRootOverrideCss;
+  if (!css) {
+    detachOverrideStyles(root);
+    return;
+  }
+  if (overrideSheets) {
+    const sheet =
+      root === document ? overrideSheets.document : overrideSheets.shadowRoot;
+    if (!root.adoptedStyleSheets.includes(sheet))
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    return;
+  }
+  let styleElement = root.getElementById(STYLE_OVERRIDE_TAG_ID);
+  if (!styleElement) {
+    styleElement = document.createElement("style");
+    styleElement.id = STYLE_OVERRIDE_TAG_ID;
+    const container =
+      root === document ? document.head || document.documentElement : root;
+    container.insertBefore(styleElement, container.firstChild);
   }
-  return Array.from(roots);
+  if (styleElement.textContent !== css) styleElement.textContent = css;
 }
 
-function applyStylesToRoot(
-  rootNode,
-  font,
-  direction,
-  fontSize,
-  lineHeight,
-  fontWeight,
-  letterSpacing,
-  wordSpacing
-) {
-  const randomSuffix = Math.random().toString(36).substring(2, 9);
-  let styleElementIdSuffix =
-    rootNode instanceof ShadowRoot && rootNode.host
-      ? (rootNode.host.id || rootNode.host.tagName || "shadow") +
-        "-" +
-        randomSuffix
-      : "document";
-  const currentStyleElementId =
-    `${STYLE_OVERRIDE_TAG_ID}-${styleElementIdSuffix}`
-      .toLowerCase()
-      .replace(/[^a-z0-9-_]/g, "-");
-
-  let styleElement = rootNode.querySelector(`#${currentStyleElementId}`);
-  let cssRules = "";
-  let baseElementStyles = "";
-  let formElementFontStyles = "";
+/**
+ * Removes the override CSS from a root.
+ * @param {Document|ShadowRoot} root - The document or a shadow root.
+ */
+function detachOverrideStyles(root) {
+  if (overrideSheets) {
+    const sheet =
+      root === document ? overrideSheets.document : overrideSheets.shadowRoot;
+    if (root.adoptedStyleSheets.includes(sheet))
+      root.adoptedStyleSheets = root.adoptedStyleSheets.filter(
+        (adoptedSheet) => adoptedSheet !== sheet
+      );
+    return;
+  }
+  root.getElementById(STYLE_OVERRIDE_TAG_ID)?.remove();
+}
 
-  if (font)
-    baseElementStyles += `font-family: "${font}", Tahoma, sans-serif !important;`;
-  if (fontWeight) baseElementStyles += `font-weight: ${fontWeight} !important;`;
-  if (fontSize) baseElementStyles += `font-size: ${fontSize}px !important;`;
-  if (lineHeight) baseElementStyles += `line-height: ${lineHeight} !important;`;
-  if (letterSpacing)
-    baseElementStyles += `letter-spacing: ${letterSpacing}px !important;`;
-  if (wordSpacing)
-    baseElementStyles += `word-spacing: ${wordSpacing}px !important;`;
+/**
+ * Turns the override CSS, and the styles injected at document_start, off or
+ * back on everywhere, so that the page's own styles can be read.
+ * @param {boolean} disabled
+ */
+function setOverrideStylesDisabled(disabled) {
+  if (overrideSheets) {
+    overrideSheets.document.disabled = disabled;
+    overrideSheets.shadowRoot.disabled = disabled;
+  } else {
+    [document, ...knownShadowRoots].forEach((root) => {
+      const styleElement = root.getElementById(STYLE_OVERRIDE_TAG_ID);
+      if (styleElement) styleElement.disabled = disabled;
+    });
+  }
+  EarlyStyles.setDisabled(disabled);
+}
 
-  if (font)
-    formElementFontStyles += `font-family: "${font}", Tahoma, sans-serif !important;`;
-  if (fontWeight)
-    formElementFontStyles += `font-weight: ${fontWeight} !important;`;
+// --- Early Styles Cache ---
 
-  if (baseElementStyles) {
-    const excludeSelectorsList = [
-      '[class*="icon"]',
-      '[class*="fa"]',
-      "i",
-      ".material-icons",
-      ".material-symbols-outlined",
-      "pre",
-      "code",
-      "samp",
-      "kbd",
-    ];
-    const excludeCssSelector = excludeSelectorsList
-      .map((selector) => `:not(${selector})`)
-      .join("");
-    cssRules += ` :host ${excludeCssSelector}, * ${excludeCssSelector} { ${baseElementStyles} } `;
-    if (rootNode === document.head) {
-      cssRules += ` body ${excludeCssSelector} { ${baseElementStyles} } `;
+/**
+ * The CSS early-styles.js injects on this host's next page load: the rules
+ * that load the applied fonts, then the document's override CSS. Google fonts
+ * are imported and bundled fonts declared with their packaged files; uploaded
+ * fonts are left out, being too large to cache.
+ * @returns {string} The CSS, empty if nothing is applied.
+ */
+function buildEarlyStylesCss() {
+  if (!documentOverrideCss) return "";
+  const fontNames = getAppliedFontNames();
+  const googleFonts = fontNames.filter(isGoogleFont);
+  let fontCss =
+    googleFonts.length > 0
+      ? `@import url("${buildGoogleFontUrl(
+          googleFonts,
+          getAppliedGoogleFontWeight()
+        )}");\n`
+      : "";
+  fontNames.filter(isBundledFont).forEach((fontName) => {
+    const bundledFont = FontCatalog.findFont(fontCatalog, fontName);
+    for (const [subset, file] of Object.entries(bundledFont.files)) {
+      fontCss += `@font-face { font-family: "${fontName}"; src: url("${browser.runtime.getURL(
+        file
+      )}") format("woff2"); font-weight: ${FontCatalog.getFontFaceWeight(
+        bundledFont
+      )}; unicode-range: ${
+        window.FONT_SUBSET_UNICODE_RANGES[subset]
+      }; font-display: swap; }\n`;
     }
+  });
+  return fontCss + documentOverrideCss;
+}
+
+/**
+ * Stores what early-styles.js should inject on this host's next page load.
+ * Hosts whose pages may resolve to different rules get no entry: the
+ * styles of one page could be wrong for the next.
+ * @param {object} data - The full contents of browser.storage.sync.
+ */
+async function updateEarlyStylesCache(data) {
+  // Inherited settings belong to the embedding page, not to this host, and a
+  // paused tab to itself alone.
+  if (inheritsTopFrameSettings || tabPaused) return;
+  const cacheKey = EarlyStyles.getCacheKey(window.location.hostname);
+  const css = SiteRules.variesByPath(data, window.location.href)
+    ? ""
+    : buildEarlyStylesCss();
+  const dir = getDirectionAttributeValue() || "";
+  const previousEntry = earlyStylesEntry;
+  if (!css) {
+    earlyStylesEntry = null;
+    if (previousEntry !== null) await browser.storage.local.remove(cacheKey);
+    return;
   }
+  if (previousEntry?.css === css && previousEntry.dir === dir) return;
+  earlyStylesEntry = { css, dir, updatedAt: Date.now() };
+  await browser.storage.local.set({ [cacheKey]: earlyStylesEntry });
+}
 
-  if (formElementFontStyles) {
-    cssRules += ` input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="image"]), textarea, select { ${formElementFontStyles} } `;
+/**
+ * Checks whether an element lies inside the scope, looking through the
+ * shadow roots that contain it.
+ * @param {Element} element - The element to check.
+ * @param {string} scopeSelector - The scope of the applied rule.
+ * @returns {boolean}
+ */
+function isInsideScope(element, scopeSelector) {
+  let current = element;
+  while (current) {
+    if (current.closest(scopeSelector)) return true;
+    current = current.getRootNode().host;
   }
+  return false;
+}
 
-  if (direction === "rtl" || direction === "ltr") {
-    const textAlign = direction === "rtl" ? "right" : "left";
-    cssRules += ` :host, * { direction: ${direction} !important; } `;
-    const textAlignSelectors = [
-      "body",
-      ":host",
-      "div",
-      "p",
-      "section",
-      "article",
-      "main",
-      "header",
-      "footer",
-      "nav",
-      "aside",
-      "h1",
-      "h2",
-      "h3",
-      "h4",
-      "h5",
-      "h6",
-      "li",
-      "ul",
-      "ol",
-      "td",
-      "th",
-      "label",
-      "input",
-      "textarea",
-    ];
-    const targetedTextAlignSelector = textAlignSelectors
-      .map(
-        (sel) =>
-          `${sel}:not([style*="text-align:center"]):not([align="center"])`
-      )
-      .join(", ");
-    if (targetedTextAlignSelector)
-      cssRules += ` ${targetedTextAlignSelector} { text-align: ${textAlign} !important; } `;
+/**
+ * Styles one shadow root with the applied settings and watches it for new
+ * content, since the document's observer cannot see inside shadow trees.
+ * Scope selectors cannot reach into shadow trees either: a shadow root inside
+ * the scope is styled as a whole and one outside of it is left alone.
+ * @param {ShadowRoot} shadowRoot - The shadow root to style.
+ */
+function styleShadowRoot(shadowRoot) {
+  const scopeSelector = currentAppliedSelectorSettings.scopeSelector;
+  const isStyled =
+    !scopeSelector || isInsideScope(shadowRoot.host, scopeSelector);
+  if (!knownShadowRoots.has(shadowRoot)) {
+    knownShadowRoots.add(shadowRoot);
+    observer?.observe(shadowRoot, getObserverOptions());
   }
+  if (isStyled) attachOverrideStyles(shadowRoot);
+  else detachOverrideStyles(shadowRoot);
+  setDirectionAttribute(shadowRoot.host);
+}
 
-  if (cssRules) {
-    if (!styleElement) {
-      styleElement = document.createElement("style");
-      styleElement.id = currentStyleElementId;
-      styleElement.setAttribute("type", "text/css");
-      rootNode.insertBefore(styleElement, rootNode.firstChild);
-    }
-    if (styleElement.textContent !== cssRules)
-      styleElement.textContent = cssRules;
-  } else {
-    if (styleElement) styleElement.remove();
+/**
+ * The dir attribute the applied direction gives the root element, the body
+ * and shadow hosts. A scoped rule leaves the page's own dir attributes alone.
+ * @returns {string|null} "rtl", "ltr", or null for no attribute.
+ */
+function getDirectionAttributeValue() {
+  const direction = currentAppliedDirection;
+  return (direction === "rtl" || direction === "ltr") &&
+    !currentAppliedSelectorSettings.scopeSelector
+    ? direction
+    : null;
+}
+
+/**
+ * Sets the dir attribute of an element to the applied direction, or removes it.
+ * @param {Element} element - The root element, the body or a shadow host.
+ */
+function setDirectionAttribute(element) {
+  if (!element) return;
+  const direction = getDirectionAttributeValue();
+  if (direction) {
+    if (element.getAttribute("dir") !== direction)
+      element.setAttribute("dir", direction);
+  } else if (element.hasAttribute("dir")) {
+    element.removeAttribute("dir");
   }
 }
 
+/**
+ * Forgets the shadow roots whose host has left the page.
+ */
+function pruneKnownShadowRoots() {
+  knownShadowRoots.forEach((shadowRoot) => {
+    if (!shadowRoot.host.isConnected) knownShadowRoots.delete(shadowRoot);
+  });
+}
+
 function applyPageStyles(
   requestedFont,
   requestedDirection,
@@ -252,8 +1602,43 @@ function applyPageStyles(
   requestedLineHeight,
   requestedFontWeight,
   requestedLetterSpacing,
-  requestedWordSpacing
+  requestedWordSpacing,
+  requestedLatinFont,
+  requestedDigits,
+  requestedNormalizePersian,
+  requestedInputDirection,
+  requestedFontSizeMode,
+  requestedFontScale,
+  requestedMinFontSize,
+  requestedRoleSettings = {},
+  requestedSelectorSettings = {}
 ) {
+  const signature = JSON.stringify([
+    requestedFont,
+    requestedDirection,
+    requestedFontSize,
+    requestedLineHeight,
+    requestedFontWeight,
+    requestedLetterSpacing,
+    requestedWordSpacing,
+    requestedLatinFont,
+    requestedDigits,
+    requestedNormalizePersian,
+    requestedInputDirection,
+    requestedFontSizeMode,
+    requestedFontScale,
+    requestedMinFontSize,
+    requestedRoleSettings,
+    requestedSelectorSettings,
+  ]);
+  // Unchanged settings: the observer already keeps new content styled.
+  if (signature === appliedStylesSignature) return;
+  appliedStylesSignature = signature;
+
+  // Read while the page still shows its own direction.
+  getSiteRootDirection();
+  const previousDirection = currentAppliedDirection;
+  const wasRewritingText = isRewritingText();
   currentAppliedFont = requestedFont;
   currentAppliedDirection = requestedDirection;
   currentAppliedFontSize = requestedFontSize;
@@ -261,48 +1646,53 @@ function applyPageStyles(
   currentAppliedFontWeight = requestedFontWeight;
   currentAppliedLetterSpacing = requestedLetterSpacing;
   currentAppliedWordSpacing = requestedWordSpacing;
+  currentAppliedLatinFont = requestedLatinFont;
+  currentAppliedDigits = requestedDigits;
+  currentAppliedNormalizePersian = requestedNormalizePersian;
+  currentAppliedInputDirection = requestedInputDirection;
+  if (!isLiveDirectionOn()) clearLiveDirection();
+  currentAppliedFontSizeMode = requestedFontSizeMode;
+  currentAppliedFontScale = requestedFontScale;
+  currentAppliedMinFontSize = requestedMinFontSize;
+  currentAppliedRoleSettings = requestedRoleSettings;
+  currentAppliedSelectorSettings = requestedSelectorSettings;
 
-  loadGoogleFont(requestedFont, requestedFontWeight);
+  getAppliedFontNames().forEach(loadExtensionFont);
+  loadGoogleFont(getAppliedFontNames(), getAppliedGoogleFontWeight());
+  loadScriptMixFont(requestedFont, requestedLatinFont, requestedFontWeight);
 
-  applyStylesToRoot(
-    document.head,
-    requestedFont,
-    requestedDirection,
-    requestedFontSize,
-    requestedLineHeight,
-    requestedFontWeight,
-    requestedLetterSpacing,
-    requestedWordSpacing
+  // The sizes are read before the new overrides are in place.
+  if (isScalingFontSize()) measureFontSizes([document]);
+  else if (measuredFontSizes.size > 0) clearFontSizeMarks();
+  updateOverrideStyles();
+  // New settings are the only time the whole page is searched for shadow roots.
+  pruneKnownShadowRoots();
+  getAllShadowRoots(document.documentElement).forEach((shadowRoot) =>
+    knownShadowRoots.add(shadowRoot)
   );
-  getAllShadowRoots(document.documentElement).forEach((shadowRoot) => {
-    applyStylesToRoot(
-      shadowRoot,
-      requestedFont,
-      requestedDirection,
-      requestedFontSize,
-      requestedLineHeight,
-      requestedFontWeight,
-      requestedLetterSpacing,
-      requestedWordSpacing
-    );
-  });
+  knownShadowRoots.forEach(styleShadowRoot);
 
-  if (requestedDirection) {
-    document.documentElement.setAttribute("dir", requestedDirection);
-    if (document.body) document.body.setAttribute("dir", requestedDirection);
-    getAllShadowRoots(document.documentElement).forEach((root) =>
-      root.host?.setAttribute("dir", requestedDirection)
-    );
-  } else {
-    document.documentElement.removeAttribute("dir");
-    if (document.body) document.body.removeAttribute("dir");
-    getAllShadowRoots(document.documentElement).forEach((root) =>
-      root.host?.removeAttribute("dir")
-    );
+  if (requestedDirection === "auto") {
+    if (previousDirection !== "auto")
+      applyAutoDirection(document.documentElement);
+  } else if (previousDirection === "auto") {
+    clearAutoDirection();
   }
+  if (isAligningText()) applyLogicalAlignment(document);
+  else clearLogicalAlignment();
+
+  setDirectionAttribute(document.documentElement);
+  setDirectionAttribute(document.body);
+
+  if (isRewritingText() || wasRewritingText) applyTextRewriting();
+  // Text changes are only watched while the text is rewritten.
+  if (observer && isRewritingText() !== wasRewritingText) startObservingDOM();
 }
 
 function resetPageStyles() {
+  if (currentAppliedDirection === "auto") clearAutoDirection();
+  if (isAligningText()) clearLogicalAlignment();
+  appliedStylesSignature = null;
   currentAppliedFont = null;
   currentAppliedDirection = null;
   currentAppliedFontSize = null;
@@ -310,21 +1700,46 @@ function resetPageStyles() {
   currentAppliedFontWeight = null;
   currentAppliedLetterSpacing = null;
   currentAppliedWordSpacing = null;
+  currentAppliedLatinFont = null;
+  const wasRewritingText = isRewritingText();
+  currentAppliedDigits = null;
+  currentAppliedNormalizePersian = null;
+  currentAppliedInputDirection = null;
+  clearLiveDirection();
+  currentAppliedFontSizeMode = null;
+  currentAppliedFontScale = null;
+  currentAppliedMinFontSize = null;
+  currentAppliedRoleSettings = {};
+  currentAppliedSelectorSettings = {};
+  pendingAddedElements.clear();
+  pendingRewriteTextNodes.clear();
+  if (wasRewritingText) applyTextRewriting();
+  if (measuredFontSizes.size > 0) clearFontSizeMarks();
 
-  loadGoogleFont(null, null);
-  applyStylesToRoot(document.head, null, null, "", "", "", null, null);
+  loadGoogleFont([], null);
+  loadScriptMixFont(null, null, null);
+  updateOverrideStyles();
 
   document.documentElement.removeAttribute("dir");
   if (document.body) document.body.removeAttribute("dir");
 
-  getAllShadowRoots(document.documentElement).forEach((shadowRoot) => {
-    applyStylesToRoot(shadowRoot, null, null, "", "", "", null, null);
+  knownShadowRoots.forEach((shadowRoot) => {
+    detachOverrideStyles(shadowRoot);
     if (shadowRoot.host) shadowRoot.host.removeAttribute("dir");
   });
+  knownShadowRoots.clear();
+  // Stops watching the shadow roots; the document itself stays observed.
+  if (observer) startObservingDOM();
 }
 
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === "applyStyles") {
+    // A paused rule or tab keeps its settings but leaves the page as it is.
+    if (request.paused || tabPaused) {
+      if (hasAppliedStyles()) resetPageStyles();
+      sendResponse({ status: "Rule paused." });
+      return true;
+    }
     applyPageStyles(
       request.font,
       request.direction,
@@ -332,11 +1747,56 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
       request.lineHeight,
       request.fontWeight,
       request.letterSpacing,
-      request.wordSpacing
+      request.wordSpacing,
+      request.latinFont,
+      request.digits,
+      request.normalizePersian,
+      request.inputDirection,
+      request.fontSizeMode,
+      request.fontScale,
+      request.minFontSize,
+      {
+        headingFont: request.headingFont,
+        headingFontWeight: request.headingFontWeight,
+        formFont: request.formFont,
+        monoFont: request.monoFont,
+      },
+      {
+        excludeSelectors: request.excludeSelectors,
+        includeSelectors: request.includeSelectors,
+        rtlSelectors: request.rtlSelectors,
+        ltrSelectors: request.ltrSelectors,
+        scopeSelector: request.scopeSelector,
+      }
     );
     sendResponse({ status: "Styles received." });
     return true;
   }
+  if (request.action === "startElementPicker") {
+    startElementPicker(request.ruleKey);
+    sendResponse({ status: "Picker started." });
+    return true;
+  }
+  if (request.action === "saveContextMenuElement") {
+    saveContextMenuElement(request.field).catch((error) =>
+      console.error("[FontChanger] Error saving the element rule:", error)
+    );
+    sendResponse({ status: "Element rule received." });
+    return true;
+  }
+  if (request.action === "setTabPaused") {
+    tabPaused = Boolean(request.paused);
+    if (tabPaused) {
+      if (hasAppliedStyles()) resetPageStyles();
+      EarlyStyles.remove();
+    } else {
+      applyStylesForCurrentUrl().catch((error) =>
+        console.error("[FontChanger] Error resuming the tab:", error)
+      );
+    }
+    sendResponse({ status: "Tab pause received." });
+    return true;
+  }
   if (request.action === "resetStyles") {
     resetPageStyles();
     sendResponse({ status: "Styles reset." });
@@ -345,40 +1805,133 @@ browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
   return false;
 });
 
-async function loadAndApplyInitialStyles() {
+/**
+ * Returns true while any override is applied to the page.
+ */
+function hasAppliedStyles() {
+  return Boolean(
+    currentAppliedFont ||
+      currentAppliedDirection ||
+      currentAppliedFontSize ||
+      currentAppliedLineHeight ||
+      currentAppliedFontWeight ||
+      currentAppliedLetterSpacing ||
+      currentAppliedWordSpacing ||
+      currentAppliedLatinFont ||
+      isScalingFontSize() ||
+      isLiveDirectionOn() ||
+      Object.values(currentAppliedRoleSettings).some(Boolean) ||
+      hasBlockDirections() ||
+      isRewritingText()
+  );
+}
+
+/**
+ * Looks up the most specific rule for the current URL, fills it in with the
+ * default profile and applies the result, or removes the overrides if nothing
+ * applies any more.
+ */
+async function applyStylesForCurrentUrl() {
+  const urlTarget = SiteRules.getUrlTarget(window.location.href);
+  lastResolvedHostAndPath = urlTarget ? urlTarget.hostAndPath : null;
+
+  const data = await storageArea.get(null);
+  let { settings } = SiteRules.resolveEffectiveSettings(
+    data,
+    window.location.href
+  );
+  const topFrameSettings = isTopFrame ? null : await getTopFrameSettings();
+  inheritsTopFrameSettings = Boolean(topFrameSettings);
+  if (topFrameSettings) settings = topFrameSettings;
+  tabPaused = await isTabPaused();
+
+  if (
+    settings &&
+    !settings.paused &&
+    !tabPaused &&
+    SiteRules.changesPage(settings)
+  ) {
+    applyPageStyles(
+      settings.font,
+      settings.direction,
+      settings.fontSize,
+      settings.lineHeight,
+      settings.fontWeight,
+      settings.letterSpacing,
+      settings.wordSpacing,
+      settings.latinFont,
+      settings.digits,
+      settings.normalizePersian,
+      settings.inputDirection,
+      settings.fontSizeMode,
+      settings.fontScale,
+      settings.minFontSize,
+      {
+        headingFont: settings.headingFont,
+        headingFontWeight: settings.headingFontWeight,
+        formFont: settings.formFont,
+        monoFont: settings.monoFont,
+      },
+      {
+        excludeSelectors: settings.excludeSelectors,
+        includeSelectors: settings.includeSelectors,
+        rtlSelectors: settings.rtlSelectors,
+        ltrSelectors: settings.ltrSelectors,
+        scopeSelector: settings.scopeSelector,
+      }
+    );
+  } else {
+    if (hasAppliedStyles()) resetPageStyles();
+    EarlyStyles.remove();
+  }
+  await updateEarlyStylesCache(data);
+}
+
+/**
+ * Asks the service worker for the settings of the page that embeds this
+ * frame. The page's rule decides whether they reach this frame (see
+ * SiteRules.FRAME_MODES).
+ * @returns {Promise<object|null>} The settings, or null if this frame uses its
+ *   own rules.
+ */
+async function getTopFrameSettings() {
   try {
-    const data = await storageArea.get(null);
-    const hostname = window.location.hostname;
-    const settings = data[hostname];
+    const response = await browser.runtime.sendMessage({
+      type: "GET_TOP_FRAME_SETTINGS",
+    });
+    topFrameUrl = response?.topUrl || null;
+    return response?.settings || null;
+  } catch (error) {
+    console.error("[FontChanger] Error reading the page's settings:", error);
+    return null;
+  }
+}
 
-    if (
-      settings &&
-      (settings.font ||
-        settings.direction ||
-        settings.fontSize ||
-        settings.lineHeight ||
-        settings.fontWeight ||
-        settings.letterSpacing ||
-        settings.wordSpacing)
-    ) {
-      applyPageStyles(
-        settings.font,
-        settings.direction,
-        settings.fontSize,
-        settings.lineHeight,
-        settings.fontWeight,
-        settings.letterSpacing,
-        settings.wordSpacing
-      );
-    } else {
-      currentAppliedFont = null;
-      currentAppliedDirection = null;
-      currentAppliedFontSize = null;
-      currentAppliedLineHeight = null;
-      currentAppliedFontWeight = null;
-      currentAppliedLetterSpacing = null;
-      currentAppliedWordSpacing = null;
-    }
+/**
+ * Asks the service worker whether the popup paused the extension in this tab,
+ * which a content script cannot look up without knowing its tab.
+ * @returns {Promise<boolean>}
+ */
+async function isTabPaused() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: "IS_TAB_PAUSED",
+    });
+    return Boolean(response?.paused);
+  } catch (error) {
+    console.error("[FontChanger] Error reading the tab's pause:", error);
+    return false;
+  }
+}
+
+async function loadAndApplyInitialStyles() {
+  try {
+    [earlyStylesEntry] = await Promise.all([
+      EarlyStyles.entryPromise,
+      loadCustomFontFamilies(),
+      loadFontCatalog(),
+    ]);
+    await applyStylesForCurrentUrl();
   } catch (error) {
     console.error("[FontChanger] Error loading initial styles:", error);
   } finally {
@@ -386,39 +1939,371 @@ async function loadAndApplyInitialStyles() {
   }
 }
 
-function handleMutations(mutationsList, obs) {
-  clearTimeout(mutationDebounceTimeout);
-  mutationDebounceTimeout = setTimeout(() => {
+/**
+ * Single-page apps change the path without reloading, which can make a
+ * different (path-based) rule the most specific one.
+ */
+function checkForUrlChange() {
+  const urlTarget = SiteRules.getUrlTarget(window.location.href);
+  const hostAndPath = urlTarget ? urlTarget.hostAndPath : null;
+  if (hostAndPath === lastResolvedHostAndPath) return;
+  applyStylesForCurrentUrl().catch((error) =>
+    console.error(
+      "[FontChanger] Error re-applying styles after navigation:",
+      error
+    )
+  );
+}
+
+function handleMutations(mutationsList) {
+  checkForUrlChange();
+  if (!hasAppliedStyles()) return;
+  mutationsList.forEach((mutation) => {
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) pendingAddedElements.add(node);
+    });
+  });
+  if (currentAppliedDirection === "auto") {
+    mutationsList.forEach(queueAutoDirectionMutation);
+  }
+  if (isRewritingText()) mutationsList.forEach(queueTextRewriteMutation);
+  // Throttled rather than debounced: a page that never stops changing still
+  // gets its new content styled.
+  if (!mutationFlushTimeout) {
+    mutationFlushTimeout = setTimeout(flushMutations, 300);
+  }
+}
+
+/**
+ * Styles what was added since the last flush: the shadow roots inside the
+ * added subtrees and, once they upgrade, custom elements that are not defined
+ * yet (their shadow roots are attached later, without a mutation).
+ */
+function flushMutations() {
+  mutationFlushTimeout = null;
+  if (hasAppliedStyles()) {
+    // Some pages rebuild <head>, replace their adopted stylesheets or
+    // rewrite the root's attributes.
+    attachOverrideStyles(document);
+    setDirectionAttribute(document.documentElement);
+    setDirectionAttribute(document.body);
+
+    pendingAddedElements.forEach((element) => {
+      if (!element.isConnected) return;
+      getAllShadowRoots(element).forEach((shadowRoot) => {
+        if (knownShadowRoots.has(shadowRoot)) return;
+        styleShadowRoot(shadowRoot);
+        if (isRewritingText()) rewriteTextInTree(shadowRoot);
+      });
+      if (isRewritingText()) rewriteTextInTree(element);
+      if (isAligningText()) applyLogicalAlignment(element);
+      const undefinedElements = [...element.querySelectorAll(":not(:defined)")];
+      if (!element.matches(":defined")) undefinedElements.push(element);
+      undefinedElements.forEach(queueOnUpgrade);
+    });
+    pendingRewriteTextNodes.forEach((textNode) => {
+      if (textNode.isConnected && mayNeedRewriting(textNode))
+        rewriteTextNode(textNode);
+    });
     if (
-      currentAppliedFont ||
-      currentAppliedDirection ||
-      currentAppliedFontSize ||
-      currentAppliedLineHeight ||
-      currentAppliedFontWeight ||
-      currentAppliedLetterSpacing ||
-      currentAppliedWordSpacing
-    ) {
-      applyPageStyles(
-        currentAppliedFont,
-        currentAppliedDirection,
-        currentAppliedFontSize,
-        currentAppliedLineHeight,
-        currentAppliedFontWeight,
-        currentAppliedLetterSpacing,
-        currentAppliedWordSpacing
-      );
+      isScalingFontSize() &&
+      measureFontSizes(
+        [...pendingAddedElements].filter((element) => element.isConnected)
+      )
+    )
+      updateOverrideStyles();
+    pruneKnownShadowRoots();
+  }
+  pendingAddedElements.clear();
+  pendingRewriteTextNodes.clear();
+  if (currentAppliedDirection === "auto") flushAutoDirectionQueue();
+}
+
+/**
+ * Queues a custom element again once its definition is registered.
+ * @param {Element} element - An element that is not defined yet.
+ */
+function queueOnUpgrade(element) {
+  if (!element.localName.includes("-")) return;
+  customElements.whenDefined(element.localName).then(() => {
+    if (!element.isConnected || !hasAppliedStyles()) return;
+    pendingAddedElements.add(element);
+    if (!mutationFlushTimeout) {
+      mutationFlushTimeout = setTimeout(flushMutations, 300);
     }
-  }, 300);
+  });
+}
+
+/**
+ * Text changes are watched too while the text is rewritten, since pages
+ * often update it (counters, clocks, prices) in place.
+ * @returns {MutationObserverInit}
+ */
+function getObserverOptions() {
+  return {
+    childList: true,
+    subtree: true,
+    characterData: isRewritingText(),
+  };
 }
 
 function startObservingDOM() {
   if (observer) observer.disconnect();
   observer = new MutationObserver(handleMutations);
-  observer.observe(document.documentElement, {
-    childList: true,
-    subtree: true,
+  observer.observe(document.documentElement, getObserverOptions());
+  knownShadowRoots.forEach((shadowRoot) =>
+    observer.observe(shadowRoot, getObserverOptions())
+  );
+}
+
+/**
+ * Keeps the page in sync when the default profile or a rule that matches
+ * this page is edited anywhere (popup, settings page, another device).
+ */
+browser.storage.onChanged.addListener((changes, areaName) => {
+  // A newly uploaded font must be registered rather than requested from Google.
+  if (areaName === "local" && changes[CUSTOM_FONT_FAMILIES_KEY]) {
+    customFontFamilies = changes[CUSTOM_FONT_FAMILIES_KEY].newValue || [];
+    if (hasAppliedStyles()) {
+      // The settings are the same, but their fonts must be loaded again.
+      appliedStylesSignature = null;
+      applyStylesForCurrentUrl().catch((error) =>
+        console.error("[FontChanger] Error re-applying custom fonts:", error)
+      );
+    }
+    return;
+  }
+  // runtime.js removes a host's early styles when a rule changes; the page
+  // writes them again from its own settings.
+  const earlyStylesKey = EarlyStyles.getCacheKey(window.location.hostname);
+  if (
+    areaName === "local" &&
+    changes[earlyStylesKey] &&
+    !changes[earlyStylesKey].newValue
+  ) {
+    earlyStylesEntry = null;
+    if (hasAppliedStyles()) {
+      applyStylesForCurrentUrl().catch((error) =>
+        console.error("[FontChanger] Error caching early styles:", error)
+      );
+    }
+    return;
+  }
+  if (areaName !== "sync") return;
+  const affectsThisPage = Object.keys(changes).some(
+    (key) =>
+      key === SiteRules.DEFAULT_PROFILE_KEY ||
+      SiteRules.isProfileKey(key) ||
+      (SiteRules.isRuleKey(key) &&
+        (SiteRules.ruleMatchesUrl(key, window.location.href) ||
+          (topFrameUrl && SiteRules.ruleMatchesUrl(key, topFrameUrl))))
+  );
+  if (affectsThisPage) {
+    applyStylesForCurrentUrl().catch((error) =>
+      console.error("[FontChanger] Error re-applying changed settings:", error)
+    );
+  }
+});
+
+// --- Element Picker (scopes a rule to one region of the page) ---
+
+// The rule being scoped and the highlight box, while the picker is active.
+let pickerState = null;
+
+/**
+ * Checks that a class name or id was written by hand rather than generated
+ * (hashes and counters change between page loads).
+ * @param {string} token - A class name or id.
+ * @returns {boolean}
+ */
+function isStableSelectorToken(token) {
+  return /^[A-Za-z][\w-]*$/.test(token) && !/\d{3,}/.test(token);
+}
+
+/**
+ * Builds a short selector that matches only the given element, preferring ids
+ * and hand-written class names over positions.
+ * @param {Element} element - The picked element.
+ * @returns {string} The selector, or "" for the whole page.
+ */
+function buildStableSelector(element) {
+  const parts = [];
+  let current = element;
+  while (
+    current &&
+    current !== document.body &&
+    current !== document.documentElement
+  ) {
+    if (current.id && isStableSelectorToken(current.id)) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+    } else {
+      let part = current.tagName.toLowerCase();
+      [...current.classList]
+        .filter(isStableSelectorToken)
+        .slice(0, 2)
+        .forEach((className) => (part += `.${CSS.escape(className)}`));
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTypeSiblings = [...parent.children].filter(
+          (child) => child.tagName === current.tagName
+        );
+        const lookalikes = sameTypeSiblings.filter((child) =>
+          child.matches(part)
+        );
+        if (lookalikes.length > 1) {
+          part += `:nth-of-type(${sameTypeSiblings.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+    }
+    const selector = parts.join(" > ");
+    if (document.querySelectorAll(selector).length === 1) return selector;
+    current = current.parentElement;
+  }
+  return parts.length > 0 ? `body > ${parts.join(" > ")}` : "";
+}
+
+/**
+ * Highlights the element under the cursor until one is clicked (saved as the
+ * rule's scope) or Escape is pressed.
+ * @param {string} ruleKey - The rule the picked scope is saved to.
+ */
+function startElementPicker(ruleKey) {
+  if (pickerState) stopElementPicker();
+  const overlay = document.createElement("div");
+  overlay.id = PICKER_OVERLAY_ID;
+  overlay.style.cssText =
+    "position: fixed; z-index: 2147483647; pointer-events: none; display: none; box-sizing: border-box; border: 2px solid #1a73e8; background: rgba(26, 115, 232, 0.15); border-radius: 2px;";
+  document.documentElement.appendChild(overlay);
+  pickerState = { ruleKey, overlay, target: null };
+  document.addEventListener("mousemove", handlePickerMouseMove, true);
+  document.addEventListener("click", handlePickerClick, true);
+  document.addEventListener("keydown", handlePickerKeyDown, true);
+}
+
+function stopElementPicker() {
+  if (!pickerState) return;
+  pickerState.overlay.remove();
+  pickerState = null;
+  document.removeEventListener("mousemove", handlePickerMouseMove, true);
+  document.removeEventListener("click", handlePickerClick, true);
+  document.removeEventListener("keydown", handlePickerKeyDown, true);
+}
+
+function handlePickerMouseMove(event) {
+  const target = event.target;
+  if (!(target instanceof Element) || target === pickerState.target) return;
+  pickerState.target = target;
+  const rect = target.getBoundingClientRect();
+  Object.assign(pickerState.overlay.style, {
+    display: "block",
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
   });
 }
 
+function handlePickerClick(event) {
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  const target =
+    event.target instanceof Element ? event.target : pickerState.target;
+  const { ruleKey } = pickerState;
+  stopElementPicker();
+  if (!target) return;
+  saveScopeSelector(ruleKey, buildStableSelector(target)).catch((error) =>
+    console.error("[FontChanger] Error saving the picked scope:", error)
+  );
+}
+
+function handlePickerKeyDown(event) {
+  if (event.key !== "Escape") return;
+  event.preventDefault();
+  event.stopImmediatePropagation();
+  stopElementPicker();
+}
+
+/**
+ * Stores the scope on the rule. The storage listener below then re-applies
+ * the styles to that region only.
+ * @param {string} ruleKey - The rule to update.
+ * @param {string} scopeSelector - The picked selector; "" for the whole page.
+ */
+async function saveScopeSelector(ruleKey, scopeSelector) {
+  const data = await storageArea.get(ruleKey);
+  const settings = { ...(data[ruleKey] || { host: ruleKey }) };
+  if (scopeSelector) {
+    settings.scopeSelector = scopeSelector;
+  } else {
+    delete settings.scopeSelector;
+  }
+  await storageArea.set({ [ruleKey]: settings });
+}
+
+// --- Context Menu (rules for the element that was right-clicked) ---
+
+// The element the context menu was last opened on.
+let contextMenuTarget = null;
+
+document.addEventListener(
+  "contextmenu",
+  (event) => {
+    contextMenuTarget = event.target instanceof Element ? event.target : null;
+  },
+  true
+);
+
+/**
+ * Returns true while blocks have a direction of their own.
+ */
+function hasBlockDirections() {
+  return Object.keys(SiteRules.BLOCK_DIRECTION_FIELDS).some(
+    (field) => currentAppliedSelectorSettings[field]?.length > 0
+  );
+}
+
+/**
+ * Adds the element the context menu was opened on to one of the selector
+ * lists of the rule for this frame's URL, or of a new rule for its hostname.
+ * A block given one direction leaves the other direction's list. The storage
+ * listener below then re-applies the styles.
+ * @param {string} field - "excludeSelectors" or a key of
+ *   SiteRules.BLOCK_DIRECTION_FIELDS.
+ */
+async function saveContextMenuElement(field) {
+  if (!SiteRules.SELECTOR_FIELDS.includes(field)) return;
+  if (!contextMenuTarget?.isConnected) return;
+  const selector = buildStableSelector(contextMenuTarget);
+  const blockDirection = SiteRules.BLOCK_DIRECTION_FIELDS[field];
+  // Outside any block, only a direction can apply, to the whole page.
+  if (!selector && !blockDirection) return;
+
+  const data = await storageArea.get(null);
+  const ruleKey =
+    SiteRules.resolveRule(data, window.location.href)?.key ||
+    window.location.hostname;
+  if (!ruleKey) return;
+  const settings = { ...(data[ruleKey] || { host: ruleKey }) };
+  if (!selector) {
+    settings.direction = blockDirection;
+  } else {
+    settings[field] = [
+      ...new Set([...SiteRules.toSelectorList(settings[field]), selector]),
+    ];
+    Object.keys(SiteRules.BLOCK_DIRECTION_FIELDS)
+      .filter((otherField) => blockDirection && otherField !== field)
+      .forEach((otherField) => {
+        const others = SiteRules.toSelectorList(settings[otherField]).filter(
+          (otherSelector) => otherSelector !== selector
+        );
+        if (others.length > 0) settings[otherField] = others;
+        else delete settings[otherField];
+      });
+  }
+  await storageArea.set({ [ruleKey]: settings });
+}
+
 // --- Script Execution ---
+window.addEventListener("popstate", checkForUrlChange);
 loadAndApplyInitialStyles();
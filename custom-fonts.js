@@ -0,0 +1,192 @@
+/**
+ * @file custom-fonts.js
+ * @description Stores the font files uploaded in the settings page in the
+ * extension's IndexedDB. Shared by the settings page, the popup and the service
+ * worker; content scripts run in the page's origin and ask the service worker
+ * for the files instead (see GET_CUSTOM_FONT_FILES in runtime.js).
+ *
+ * Every file is one record: { id, family, weight, style, fileName, data }, where
+ * `weight` is a CSS font-weight ("400", or "100 900" for a variable font) and
+ * `data` the file's ArrayBuffer. The list of uploaded families is mirrored to
+ * browser.storage.local under "customFontFamilies" so content scripts can tell
+ * custom fonts apart without opening the database.
+ */
+(function () {
+  const DB_NAME = "FontChangerCustomFonts";
+  const DB_VERSION = 1;
+  const STORE_NAME = "fontFiles";
+  const FAMILIES_STORAGE_KEY = "customFontFamilies";
+  const ACCEPTED_EXTENSIONS = [".ttf", ".otf", ".woff", ".woff2"];
+  // Larger files are almost always font collections or mistakes.
+  const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+  let databasePromise = null;
+  // FontFace objects added to this page's document.fonts, keyed by record id.
+  const registeredFontFaces = new Map();
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("family", "family");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          databasePromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return databasePromise;
+  }
+
+  /**
+   * Runs one request against the font store.
+   * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+   * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the request.
+   * @returns {Promise<*>} The request's result.
+   */
+  async function runRequest(mode, makeRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @returns {Promise<object[]>} Every stored font file.
+   */
+  function getAllFontFiles() {
+    return runRequest("readonly", (store) => store.getAll());
+  }
+
+  /**
+   * @param {string} family - An uploaded family name.
+   * @returns {Promise<object[]>} The files stored for that family.
+   */
+  function getFontFilesForFamily(family) {
+    return runRequest("readonly", (store) =>
+      store.index("family").getAll(family)
+    );
+  }
+
+  /**
+   * @param {object[]} fontFiles - Stored font files.
+   * @returns {string[]} The distinct family names, sorted.
+   */
+  function getFamilyNames(fontFiles) {
+    return [...new Set(fontFiles.map((file) => file.family))].sort((a, b) =>
+      a.localeCompare(b)
+    );
+  }
+
+  /**
+   * Mirrors the family list to browser.storage.local for the content scripts.
+   * @returns {Promise<string[]>} The family names.
+   */
+  async function syncFamilyList() {
+    const families = getFamilyNames(await getAllFontFiles());
+    await browser.storage.local.set({ [FAMILIES_STORAGE_KEY]: families });
+    return families;
+  }
+
+  /**
+   * Stores an uploaded font file.
+   * @param {{family: string, weight: string, style: string, fileName: string, data: ArrayBuffer}} fontFile
+   * @returns {Promise<number>} The new record's id.
+   */
+  async function addFontFile(fontFile) {
+    const id = await runRequest("readwrite", (store) =>
+      store.add({ ...fontFile, addedAt: Date.now() })
+    );
+    await syncFamilyList();
+    return id;
+  }
+
+  /**
+   * Removes one stored font file.
+   * @param {number} id - The record id.
+   */
+  async function deleteFontFile(id) {
+    await runRequest("readwrite", (store) => store.delete(id));
+    const fontFace = registeredFontFaces.get(id);
+    if (fontFace) {
+      document.fonts.delete(fontFace);
+      registeredFontFaces.delete(id);
+    }
+    await syncFamilyList();
+  }
+
+  /**
+   * Checks a chosen file before it is read.
+   * @param {File} file - The chosen file.
+   * @returns {string|null} The i18n key of the problem, or null if the file is fine.
+   */
+  function validateFontFile(file) {
+    const lowerCaseName = file.name.toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.some((ext) => lowerCaseName.endsWith(ext)))
+      return "customFontInvalidTypeMessage";
+    if (file.size > MAX_FILE_SIZE) return "customFontTooLargeMessage";
+    return null;
+  }
+
+  /**
+   * Makes every stored font usable in this extension page (for previews).
+   * Files registered earlier are skipped.
+   * @returns {Promise<string[]>} The uploaded family names.
+   */
+  async function registerFontFaces() {
+    const fontFiles = await getAllFontFiles();
+    for (const fontFile of fontFiles) {
+      if (registeredFontFaces.has(fontFile.id)) continue;
+      try {
+        const fontFace = new FontFace(fontFile.family, fontFile.data, {
+          weight: fontFile.weight,
+          style: fontFile.style,
+        });
+        document.fonts.add(fontFace);
+        registeredFontFaces.set(fontFile.id, fontFace);
+      } catch (e) {
+        console.warn(`Could not register custom font ${fontFile.fileName}:`, e);
+      }
+    }
+    return getFamilyNames(fontFiles);
+  }
+
+  /**
+   * Encodes a font file for runtime messaging, which cannot carry binary data.
+   * @param {ArrayBuffer} buffer - The file's data.
+   * @returns {string} Base64.
+   */
+  function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
+
+  globalThis.CustomFonts = {
+    FAMILIES_STORAGE_KEY,
+    ACCEPTED_EXTENSIONS,
+    getAllFontFiles,
+    getFontFilesForFamily,
+    getFamilyNames,
+    addFontFile,
+    deleteFontFile,
+    validateFontFile,
+    registerFontFaces,
+    arrayBufferToBase64,
+  };
+})();
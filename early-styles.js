@@ -0,0 +1,101 @@
+/**
+ * @file early-styles.js
+ * @description Runs at document_start, before the page is first painted, and
+ * injects the styles content.js cached for this hostname the last time it
+ * styled one of its pages. content.js only runs at document_idle; without this
+ * script every page would show its own fonts and direction first and jump once
+ * it runs.
+ *
+ * The cache lives in browser.storage.local, one entry per hostname under
+ * "earlyStyles:<hostname>": { css, dir, updatedAt }. `css` holds the document's
+ * override CSS and the rules that load its fonts, `dir` the dir attribute of
+ * the root element. content.js writes the entry and runtime.js removes the
+ * entries a changed rule may affect. A tab the popup paused gets none of it.
+ */
+(function () {
+  const KEY_PREFIX = "earlyStyles:";
+  const STYLE_TAG_ID = "font-direction-changer-early-styles";
+
+  // The root element's dir attribute before it was changed here (null if it
+  // had none); undefined while it is untouched.
+  let originalDir;
+
+  /**
+   * @param {string} hostname - A page's hostname.
+   * @returns {string} The browser.storage.local key of its entry.
+   */
+  function getCacheKey(hostname) {
+    return KEY_PREFIX + hostname;
+  }
+
+  const cacheKey = getCacheKey(window.location.hostname);
+  const entryPromise = browser.storage.local
+    .get(cacheKey)
+    .then((data) => data[cacheKey] || null)
+    .catch(() => null);
+  // Only the service worker knows this frame's tab (see isTabPaused there).
+  const tabPausedPromise = browser.runtime
+    .sendMessage({ type: "IS_TAB_PAUSED" })
+    .then((response) => Boolean(response?.paused))
+    .catch(() => false);
+
+  Promise.all([entryPromise, tabPausedPromise]).then(([entry, tabPaused]) => {
+    const root = document.documentElement;
+    if (!entry || !entry.css || !root || tabPaused) return;
+    const styleElement = document.createElement("style");
+    styleElement.id = STYLE_TAG_ID;
+    styleElement.textContent = entry.css;
+    (document.head || root).appendChild(styleElement);
+    if (entry.dir) {
+      originalDir = root.getAttribute("dir");
+      root.setAttribute("dir", entry.dir);
+    }
+  });
+
+  /**
+   * @returns {string} The CSS injected on this page, or "".
+   */
+  function getInjectedCss() {
+    return document.getElementById(STYLE_TAG_ID)?.textContent || "";
+  }
+
+  /**
+   * @returns {string|null} The root element's dir attribute as the page set it.
+   */
+  function getOriginalDir() {
+    return originalDir === undefined
+      ? document.documentElement.getAttribute("dir")
+      : originalDir;
+  }
+
+  /**
+   * Turns the injected styles off or back on.
+   * @param {boolean} disabled
+   */
+  function setDisabled(disabled) {
+    const styleElement = document.getElementById(STYLE_TAG_ID);
+    if (styleElement) styleElement.disabled = disabled;
+  }
+
+  /**
+   * Removes the injected styles and gives the root element its dir back.
+   */
+  function remove() {
+    const styleElement = document.getElementById(STYLE_TAG_ID);
+    if (!styleElement) return;
+    styleElement.remove();
+    if (originalDir === undefined) return;
+    if (originalDir === null) document.documentElement.removeAttribute("dir");
+    else document.documentElement.setAttribute("dir", originalDir);
+  }
+
+  globalThis.EarlyStyles = {
+    KEY_PREFIX,
+    getCacheKey,
+    entryPromise,
+    getInjectedCss,
+    getOriginalDir,
+    setDisabled,
+    remove,
+  };
+})();
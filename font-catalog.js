@@ -0,0 +1,158 @@
+/**
+ * @file font-catalog.js
+ * @description Reads the font catalog shipped with the extension
+ * (fonts/catalog.json) and answers questions about its fonts. Shared by the
+ * popup, the settings page and the content script, so the catalog is the only
+ * place that knows a font: adding one is a single new entry.
+ *
+ * Every catalog entry describes one family:
+ *  - family:   the family name, also the value stored in the rules
+ *  - category: one of CATEGORIES
+ *  - scripts:  the writing systems it covers, e.g. ["arabic", "latin"]
+ *  - axes:     { wght: [min, max] } for a variable font, or
+ *    weights:  [400, 700, ...] for the static weights of any other font
+ *  - names:    optional display names by language code
+ *  - files:    for a font shipped in fonts/, its woff2 file for each subset of
+ *              FONT_SUBSET_UNICODE_RANGES; every other font comes from Google Fonts
+ */
+(function () {
+  const CATALOG_PATH = "fonts/catalog.json";
+  const CATEGORIES = ["sans", "serif", "mono", "display", "handwriting"];
+
+  let catalogPromise = null;
+
+  /**
+   * Reads the catalog once; later calls share the same result.
+   * @returns {Promise<object[]>} The catalog fonts.
+   */
+  function loadCatalog() {
+    if (!catalogPromise) {
+      catalogPromise = fetch(browser.runtime.getURL(CATALOG_PATH))
+        .then((response) => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then((data) => (Array.isArray(data.fonts) ? data.fonts : []))
+        .catch((error) => {
+          catalogPromise = null;
+          throw error;
+        });
+    }
+    return catalogPromise;
+  }
+
+  /**
+   * @param {object[]} catalog - The catalog fonts.
+   * @param {string} family - A font family.
+   * @returns {object|undefined} The catalog entry of that family.
+   */
+  function findFont(catalog, family) {
+    return catalog.find((font) => font.family === family);
+  }
+
+  /**
+   * @param {object} font - A catalog entry.
+   * @param {string} script - A script name, e.g. "arabic".
+   * @returns {boolean}
+   */
+  function supportsScript(font, script) {
+    return Array.isArray(font.scripts) && font.scripts.includes(script);
+  }
+
+  /**
+   * Lists the weights that can be picked for a font: every hundred within a
+   * variable font's range, or the static weights.
+   * @param {object} font - A catalog entry.
+   * @returns {number[]}
+   */
+  function getWeights(font) {
+    const range = font.axes?.wght;
+    if (Array.isArray(range)) {
+      const weights = [];
+      for (let w = Math.ceil(range[0] / 100) * 100; w <= range[1]; w += 100) {
+        weights.push(w);
+      }
+      return weights;
+    }
+    return Array.isArray(font.weights) ? font.weights : [];
+  }
+
+  /**
+   * @param {object} font - A catalog entry.
+   * @returns {boolean} True for a font shipped with the extension.
+   */
+  function isBundled(font) {
+    return Boolean(font?.files);
+  }
+
+  /**
+   * The weights to request from Google Fonts for every weight to be usable.
+   * @param {object} font - A catalog entry.
+   * @returns {string} A variable range ("100..900") or a list ("400;700").
+   */
+  function getGoogleFontsWeightParam(font) {
+    const range = font.axes?.wght;
+    if (Array.isArray(range)) return `${range[0]}..${range[1]}`;
+    return getWeights(font).join(";");
+  }
+
+  /**
+   * The font-weight descriptor of a FontFace holding all of a font's weights.
+   * @param {object} font - A catalog entry.
+   * @returns {string} e.g. "100 900", or "400" for a single weight.
+   */
+  function getFontFaceWeight(font) {
+    const range = font.axes?.wght;
+    if (Array.isArray(range)) return `${range[0]} ${range[1]}`;
+    const weights = getWeights(font);
+    return weights.length > 1
+      ? `${Math.min(...weights)} ${Math.max(...weights)}`
+      : String(weights[0] || 400);
+  }
+
+  /**
+   * @param {object} font - A catalog entry.
+   * @param {string} languageCode - The UI language.
+   * @returns {string} "Local name | Family", or the family alone.
+   */
+  function getDisplayName(font, languageCode) {
+    const localName = font.names?.[languageCode];
+    return localName && localName !== font.family
+      ? `${localName} | ${font.family}`
+      : font.family;
+  }
+
+  /**
+   * Filters the catalog for a picker.
+   * @param {object[]} catalog - The catalog fonts.
+   * @param {{query?: string, category?: string, script?: string}} filter
+   *   Text searched in the family and display names, a category and a script;
+   *   empty values match every font.
+   * @returns {object[]} The matching fonts, in catalog order.
+   */
+  function filterFonts(catalog, { query = "", category = "", script = "" }) {
+    const needle = query.trim().toLowerCase();
+    return catalog.filter(
+      (font) =>
+        (!category || font.category === category) &&
+        (!script || supportsScript(font, script)) &&
+        (!needle ||
+          [font.family, ...Object.values(font.names || {})].some((name) =>
+            name.toLowerCase().includes(needle)
+          ))
+    );
+  }
+
+  globalThis.FontCatalog = {
+    CATEGORIES,
+    loadCatalog,
+    findFont,
+    supportsScript,
+    getWeights,
+    isBundled,
+    getGoogleFontsWeightParam,
+    getFontFaceWeight,
+    getDisplayName,
+    filterFonts,
+  };
+})();
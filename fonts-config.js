@@ -2,34 +2,13 @@
 if (typeof window !== "undefined") {
   /**
    * @global
-   * @type {Array<Object>}
-   * An array of font objects used throughout the extension's UI.
+   * @type {Object<string, string>}
+   * The characters each bundled font file covers, by subset.
    */
-  window.FONT_LIST = [
-    // The "Default" option
-    { value: "", labelKey: "defaultOption", style: "" },
-
-    // --- Persian/Arabic Fonts ---
-    { value: "Vazirmatn", labelKey: "vazirmatnFontOption" },
-    { value: "Noto Sans Arabic", labelKey: "notoSansArabicFontOption" },
-    { value: "Cairo", labelKey: "cairoFontOption" },
-    { value: "Rubik", labelKey: "rubikFontOption" },
-    { value: "Lalezar", labelKey: "lalezarFontOption" },
-    { value: "Baloo Bhaijaan 2", labelKey: "balooBhaijaan2FontOption" },
-    { value: "Playpen Sans", labelKey: "playpenSansFontOption" },
-    { value: "Gulzar", labelKey: "gulzarFontOption" },
-
-    // --- English/Web Fonts ---
-    { value: "Roboto", labelKey: "robotoFontOption" },
-    { value: "Open Sans", labelKey: "openSansFontOption" },
-    { value: "Inter", labelKey: "interFontOption" },
-    { value: "Noto Sans", labelKey: "notoSansFontOption" },
-    { value: "Nunito", labelKey: "nunitoFontOption" },
-    { value: "Playfair Display", labelKey: "playfairDisplayFontOption" },
-    { value: "Roboto Slab", labelKey: "robotoSlabFontOption" },
-    { value: "Josefin Sans", labelKey: "josefinSansFontOption" },
-    { value: "Merriweather", labelKey: "merriweatherFontOption" },
-    { value: "Crimson Text", labelKey: "crimsonTextFontOption" },
-    { value: "Roboto Mono", labelKey: "robotoMonoFontOption" },
-  ];
+  window.FONT_SUBSET_UNICODE_RANGES = {
+    arabic:
+      "U+0600-06FF, U+0750-077F, U+0870-088E, U+0890-0891, U+0897-08E1, U+08E3-08FF, U+200C-200E, U+2010-2011, U+204F, U+2E41, U+FB50-FDFF, U+FE70-FE74, U+FE76-FEFC",
+    latin:
+      "U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD",
+  };
 }
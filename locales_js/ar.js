@@ -1,6 +1,7 @@
 // locales_js/ar.js
-if (typeof window !== "undefined") {
-  window.currentTranslations = {
+// Pages read these through window, the service worker through self.
+if (typeof globalThis !== "undefined") {
+  globalThis.currentTranslations = {
     // ترجمات واجهة المستخدم
     defaultOption: "افتراضي",
     browserDefaultOption: "افتراضي المتصفح",
@@ -29,6 +30,7 @@ if (typeof window !== "undefined") {
     textDirectionLabel: "اتجاه نص الصفحة:",
     rtlButton: "من اليمين لليسار",
     ltrButton: "من اليسار لليمين",
+    autoButton: "تلقائي",
     settingsButtonTitle: "الإعدادات",
     resetButtonTitle: "إعادة تعيين التغييرات",
     settingsPageTitle: "إعدادات الإضافة",
@@ -67,26 +69,147 @@ if (typeof window !== "undefined") {
       "حدث خطأ أثناء إعادة تعيين الإعدادات: $ERROR$",
     cspWarningText:
       "سياسة أمان هذا الموقع تمنع تحميل خطوط الويب. ستعمل فقط الخطوط المثبتة على نظامك.",
-
-    // ترجمات أسماء الخطوط
-    vazirmatnFontOption: "خط وزیرمتن | Vazirmatn",
-    notoSansArabicFontOption: "خط نوتو سانس عربي | Noto Sans Arabic",
-    cairoFontOption: "خط القاهرة | Cairo",
-    rubikFontOption: "خط روبيك | Rubik",
-    lalezarFontOption: "خط لالەزار | Lalezar",
-    balooBhaijaan2FontOption: "خط بالو بايجان ٢ | Baloo Bhaijaan 2",
-    playpenSansFontOption: "خط بلاي بن سانس | Playpen Sans",
-    gulzarFontOption: "خط جلزار | Gulzar",
-    robotoFontOption: "روبوتو | Roboto",
-    openSansFontOption: "أوبن سانس | Open Sans",
-    interFontOption: "انتر | Inter",
-    notoSansFontOption: "نوتو سانس | Noto Sans",
-    nunitoFontOption: "نونيتو | Nunito",
-    playfairDisplayFontOption: "بلاي فير ديسبلاي | Playfair Display",
-    robotoSlabFontOption: "روبوتو سلاب | Roboto Slab",
-    josefinSansFontOption: "جوزفين سانس | Josefin Sans",
-    merriweatherFontOption: "ميريويذر | Merriweather",
-    crimsonTextFontOption: "كريمسون تكست | Crimson Text",
-    robotoMonoFontOption: "روبوتو مونو | Roboto Mono",
+    activeRuleLabel: "القاعدة قيد التعديل:",
+    newRulePatternPlaceholder: "example.com/path/* أو /regex/",
+    addRuleButtonLabel: "إضافة قاعدة",
+    rulePrecedenceHint:
+      "يمكن أن تطابق القاعدة نطاقًا، أو نطاقًا مع مسار (* حرف بدل)، أو /تعبيرًا نمطيًا/. عند تطابق عدة قواعد تُطبَّق الأكثر تحديدًا: قواعد المسار أولًا، ثم التعبيرات النمطية، ثم النطاقات الدقيقة، ثم النطاقات ذات حرف البدل.",
+    editRulePatternButton: "تعديل النمط",
+    editRulePatternPrompt: "أدخل نمط عنوان URL الجديد لهذه القاعدة:",
+    invalidRulePatternMessage: "«$PATTERN$» ليس نمط عنوان صالحًا.",
+    ruleAlreadyExistsMessage: "توجد بالفعل قاعدة لـ «$PATTERN$».",
+    ruleAddedMessage:
+      "تمت إضافة القاعدة «$PATTERN$». افتح صفحة مطابقة واضبطها من النافذة المنبثقة.",
+    inheritedBadge: "موروث",
+    resetToInheritTitle: "استخدام قيمة الملف الافتراضي",
+    defaultProfileLabel: "الملف الافتراضي",
+    defaultProfileDescription:
+      "تستخدم جميع المواقع هذه القيم ما لم تتجاوزها إعداداتها الخاصة.",
+    excludeSelectorsLabel: "المحددات المستثناة",
+    includeSelectorsLabel: "المحددات المطبقة دائماً",
+    selectorListHint:
+      "محدد CSS واحد في كل سطر. تُضاف قوائم كل موقع إلى هذه القوائم.",
+    restoreDefaultSelectorsButton: "استعادة الاستثناءات الافتراضية",
+    saveSelectorsButton: "حفظ المحددات",
+    invalidSelectorMessage: "محدد CSS غير صالح: $SELECTOR$",
+    selectorsSavedMessage: "تم حفظ المحددات.",
+    scopeLabel: "منطقة الصفحة",
+    pickScopeButton: "اختيار منطقة",
+    clearScopeTitle: "التطبيق على الصفحة بأكملها",
+    wholePageLabel: "الصفحة بأكملها",
+    siteDetailScope: "المنطقة:",
+    latinFontLabel: "الخط اللاتيني:",
+    sameAsPageFontOption: "نفس خط الصفحة",
+    siteDetailLatinFont: "الخط اللاتيني:",
+    customFontsLabel: "الخطوط المخصصة",
+    customFontsDescription:
+      "ارفع ملفات الخطوط الخاصة بك (TTF أو OTF أو WOFF أو WOFF2). تُحفظ على هذا الجهاز ويمكن اختيارها مثل أي خط آخر. ارفع عدة ملفات باسم واحد لإضافة أوزان أو نمط مائل.",
+    customFontFileLabel: "ملف الخط",
+    customFontFamilyLabel: "اسم الخط",
+    customFontFamilyPlaceholder: "مثلاً My Font",
+    customFontStyleLabel: "النمط",
+    fontStyleNormal: "عادي",
+    fontStyleItalic: "مائل",
+    variableWeightOption: "متغير (100–900)",
+    uploadFontButton: "رفع الخط",
+    noCustomFontsMessage: "لم يتم رفع أي خط بعد.",
+    customFontInvalidTypeMessage: "اختر ملف TTF أو OTF أو WOFF أو WOFF2.",
+    customFontTooLargeMessage: "حجم الملف أكبر من 10 ميغابايت.",
+    customFontInvalidFileMessage: "تعذّرت قراءة هذا الملف كخط.",
+    customFontNameInvalidMessage:
+      "أدخل اسم الخط باستخدام الحروف والأرقام والمسافات والشرطات والشرطات السفلية فقط.",
+    customFontNameTakenMessage: "الإضافة توفر بالفعل خطاً بهذا الاسم.",
+    customFontAddedMessage: "تمت إضافة «$FAMILY$».",
+    deleteFontFileTitle: "حذف هذا الملف",
+    installedFontOption: "خط مثبّت…",
+    installedFontPlaceholder: "اكتب اسم خط مثبّت على الجهاز",
+    fontUnavailableWarningText:
+      "«$FONT$» غير مثبّت على هذا الجهاز، لذا ستستخدم الصفحات خط Tahoma بدلاً منه.",
+    fontSearchPlaceholder: "ابحث عن خط",
+    fontCategoryAll: "كل الأنماط",
+    fontCategorySans: "بدون زوائد (Sans)",
+    fontCategorySerif: "بزوائد (Serif)",
+    fontCategoryMono: "ثابت العرض (Mono)",
+    fontCategoryDisplay: "عناوين",
+    fontCategoryHandwriting: "خط يدوي",
+    arabicScriptFilterLabel: "الخطوط التي تدعم الحروف العربية فقط",
+    noMatchingFontsOption: "لا توجد خطوط مطابقة",
+    framesLabel: "الإطارات المضمّنة",
+    framesOwnRulesOption: "تستخدم إعدادات مواقعها",
+    framesSameSiteOption: "إطارات الموقع نفسه",
+    framesAllOption: "كل الإطارات",
+    siteDetailFrames: "الإطارات المضمّنة:",
+    digitsLabel: "الأرقام:",
+    digitsUnchangedOption: "دون تغيير",
+    digitsPersianOption: "فارسية (۱۲۳)",
+    digitsArabicOption: "عربية مشرقية (١٢٣)",
+    digitsLatinOption: "لاتينية (123)",
+    siteDetailDigits: "الأرقام:",
+    normalizePersianLabel: "توحيد النص الفارسي:",
+    normalizePersianOffOption: "إيقاف",
+    normalizePersianOnOption: "تشغيل (ی، ک ونصف المسافة)",
+    siteDetailNormalizePersian: "توحيد الفارسية:",
+    headingFontLabel: "خط العناوين:",
+    headingFontWeightLabel: "سماكة العناوين:",
+    formFontLabel: "خط النماذج:",
+    monoFontLabel: "الخط ثابت العرض (الشيفرة):",
+    sameAsPageWeightOption: "مثل سماكة الصفحة",
+    siteDetailHeadingFont: "خط العناوين:",
+    siteDetailHeadingFontWeight: "سماكة العناوين:",
+    siteDetailFormFont: "خط النماذج:",
+    siteDetailMonoFont: "الخط ثابت العرض:",
+    fontSizeOrScaleLabel: "حجم الخط:",
+    fontSizeModeAria: "وحدة حجم الخط: بكسل أو نسبة مئوية من حجم كل عنصر",
+    minFontSizeLabel: "الحد الأدنى للحجم (بكسل):",
+    minFontSizePlaceholder: "بلا",
+    increaseMinFontSizeAria: "زيادة الحد الأدنى للحجم",
+    decreaseMinFontSizeAria: "تقليل الحد الأدنى للحجم",
+    siteDetailMinFontSize: "الحد الأدنى للحجم:",
+    inputDirectionLabel: "اتجاه الكتابة:",
+    inputDirectionOffOption: "إيقاف",
+    inputDirectionOnOption: "اتباع النص المكتوب",
+    siteDetailInputDirection: "اتجاه الكتابة:",
+    shortcutsLabel: "اختصارات لوحة المفاتيح",
+    shortcutsDescription:
+      "تغيّر الاختصارات إعدادات الموقع المفتوح في علامة التبويب الحالية.",
+    shortcutToggleDirection: "التبديل بين من اليمين لليسار ومن اليسار لليمين",
+    shortcutToggleSiteOverrides: "إيقاف تغييرات الموقع أو تشغيلها",
+    shortcutIncreaseFontSize: "تكبير حجم الخط",
+    shortcutDecreaseFontSize: "تصغير حجم الخط",
+    shortcutNotSet: "غير معيّن",
+    shortcutEditHint:
+      "انقر على اختصار واضغط المفاتيح الجديدة. يزيله مفتاح Backspace.",
+    shortcutSavedMessage: "تم حفظ الاختصار.",
+    shortcutErrorMessage: "لا يمكن استخدام هذا الاختصار: $ERROR$",
+    changeShortcutsButton: "تغيير الاختصارات",
+    rtlSelectorsLabel: "كتل من اليمين إلى اليسار",
+    ltrSelectorsLabel: "كتل من اليسار إلى اليمين",
+    pauseLabel: "التغييرات:",
+    pauseOffOption: "مفعّلة",
+    pauseTabOption: "متوقفة في علامة التبويب هذه",
+    pauseSiteOption: "متوقفة في هذا الموقع",
+    pausedBadge: "متوقف",
+    pauseSiteButton: "إيقاف مؤقت",
+    resumeSiteButton: "استئناف",
+    profilesLabel: "الملفات الشخصية",
+    editedProfileLabel: "الملف المراد تعديله:",
+    newProfileButton: "جديد",
+    renameProfileButton: "إعادة تسمية",
+    deleteProfileButton: "حذف",
+    namedProfileDescription:
+      "تأخذ المواقع التي تستخدم هذا الملف هذه القيم؛ وتأتي الحقول الفارغة من الملف الافتراضي. اختر ملف كل موقع من النافذة المنبثقة.",
+    newProfilePrompt: "اسم الملف الجديد:",
+    renameProfilePrompt: "الاسم الجديد لهذا الملف:",
+    profileNameTakenMessage: 'يوجد ملف باسم "$NAME$" بالفعل.',
+    confirmDeleteProfileMessage:
+      'هل تريد حذف الملف "$NAME$"؟ تحتفظ المواقع التي تستخدمه بإعداداتها وتتبع الملف الافتراضي مجددًا.',
+    siteDetailProfile: "الملف:",
+    profileLabel: "الملف الشخصي:",
+    noProfileOption: "بلا",
+    shortcutCycleProfile: "الانتقال إلى الملف التالي",
+    contextMenuBlockRtl: "جعل هذه الكتلة من اليمين إلى اليسار",
+    contextMenuBlockLtr: "جعل هذه الكتلة من اليسار إلى اليمين",
+    contextMenuExcludeElement: "استثناء هذا العنصر من تغيير الخط",
+    contextMenuResetSite: "إعادة تعيين هذا الموقع",
   };
 }
@@ -1,6 +1,7 @@
 // locales_js/en.js
-if (typeof window !== "undefined") {
-  window.currentTranslations = {
+// Pages read these through window, the service worker through self.
+if (typeof globalThis !== "undefined") {
+  globalThis.currentTranslations = {
     // UI Translations
     defaultOption: "Default",
     browserDefaultOption: "Browser Default",
@@ -29,6 +30,7 @@ if (typeof window !== "undefined") {
     textDirectionLabel: "Page Text Direction:",
     rtlButton: "RTL",
     ltrButton: "LTR",
+    autoButton: "Auto",
     settingsButtonTitle: "Settings",
     resetButtonTitle: "Reset Changes",
     settingsPageTitle: "Extension Settings",
@@ -67,26 +69,149 @@ if (typeof window !== "undefined") {
       "An error occurred while resetting settings: $ERROR$",
     cspWarningText:
       "This site's security policy prevents loading web fonts. Only fonts installed on your system will work.",
-
-    // Font Name Translations
-    vazirmatnFontOption: "Vazirmatn",
-    notoSansArabicFontOption: "Noto Sans Arabic",
-    cairoFontOption: "Cairo",
-    rubikFontOption: "Rubik",
-    lalezarFontOption: "Lalezar",
-    balooBhaijaan2FontOption: "Baloo Bhaijaan 2",
-    playpenSansFontOption: "Playpen Sans",
-    gulzarFontOption: "Gulzar",
-    robotoFontOption: "Roboto",
-    openSansFontOption: "Open Sans",
-    interFontOption: "Inter",
-    notoSansFontOption: "Noto Sans",
-    nunitoFontOption: "Nunito",
-    playfairDisplayFontOption: "Playfair Display",
-    robotoSlabFontOption: "Roboto Slab",
-    josefinSansFontOption: "Josefin Sans",
-    merriweatherFontOption: "Merriweather",
-    crimsonTextFontOption: "Crimson Text",
-    robotoMonoFontOption: "Roboto Mono",
+    activeRuleLabel: "Editing rule:",
+    newRulePatternPlaceholder: "example.com/path/* or /regex/",
+    addRuleButtonLabel: "Add Rule",
+    rulePrecedenceHint:
+      "A rule can match a host, a host with a path (* is a wildcard) or a /regular expression/. When several rules match, the most specific wins: path rules first, then regular expressions, exact hosts and host wildcards.",
+    editRulePatternButton: "Edit pattern",
+    editRulePatternPrompt: "Enter the new URL pattern for this rule:",
+    invalidRulePatternMessage: '"$PATTERN$" is not a valid URL pattern.',
+    ruleAlreadyExistsMessage: 'A rule for "$PATTERN$" already exists.',
+    ruleAddedMessage:
+      'Rule "$PATTERN$" added. Open a matching page and configure it from the popup.',
+    inheritedBadge: "Inherited",
+    resetToInheritTitle: "Use the default profile value",
+    defaultProfileLabel: "Default Profile",
+    defaultProfileDescription:
+      "Every site uses these values unless its own settings override them.",
+    excludeSelectorsLabel: "Excluded selectors",
+    includeSelectorsLabel: "Always restyled selectors",
+    selectorListHint:
+      "One CSS selector per line. A site's own lists are added to these.",
+    restoreDefaultSelectorsButton: "Restore built-in exclusions",
+    saveSelectorsButton: "Save selectors",
+    invalidSelectorMessage: "Invalid CSS selector: $SELECTOR$",
+    selectorsSavedMessage: "Selectors saved.",
+    scopeLabel: "Page Region",
+    pickScopeButton: "Pick a region",
+    clearScopeTitle: "Apply to the whole page",
+    wholePageLabel: "Whole page",
+    siteDetailScope: "Region:",
+    latinFontLabel: "Latin Font:",
+    sameAsPageFontOption: "Same as page font",
+    siteDetailLatinFont: "Latin Font:",
+    customFontsLabel: "Custom Fonts",
+    customFontsDescription:
+      "Upload your own font files (TTF, OTF, WOFF or WOFF2). They are kept on this device and can be chosen like any other font. Upload several files under one name to add weights or italics.",
+    customFontFileLabel: "Font file",
+    customFontFamilyLabel: "Font name",
+    customFontFamilyPlaceholder: "e.g. My Font",
+    customFontStyleLabel: "Style",
+    fontStyleNormal: "Normal",
+    fontStyleItalic: "Italic",
+    variableWeightOption: "Variable (100–900)",
+    uploadFontButton: "Upload Font",
+    noCustomFontsMessage: "No fonts uploaded yet.",
+    customFontInvalidTypeMessage: "Choose a TTF, OTF, WOFF or WOFF2 file.",
+    customFontTooLargeMessage: "The file is larger than 10 MB.",
+    customFontInvalidFileMessage: "This file could not be read as a font.",
+    customFontNameInvalidMessage:
+      "Enter a font name using only letters, digits, spaces, hyphens or underscores.",
+    customFontNameTakenMessage:
+      "The extension already offers a font with this name.",
+    customFontAddedMessage: '"$FAMILY$" was added.',
+    deleteFontFileTitle: "Delete this file",
+    installedFontOption: "Installed font…",
+    installedFontPlaceholder: "Type the name of an installed font",
+    fontUnavailableWarningText:
+      '"$FONT$" is not installed on this computer, so pages will use Tahoma instead.',
+    fontSearchPlaceholder: "Search fonts",
+    fontCategoryAll: "All styles",
+    fontCategorySans: "Sans-serif",
+    fontCategorySerif: "Serif",
+    fontCategoryMono: "Monospace",
+    fontCategoryDisplay: "Display",
+    fontCategoryHandwriting: "Handwriting",
+    arabicScriptFilterLabel: "Only fonts with Arabic script",
+    noMatchingFontsOption: "No matching fonts",
+    framesLabel: "Embedded Frames",
+    framesOwnRulesOption: "Use their own site's settings",
+    framesSameSiteOption: "Same-site frames",
+    framesAllOption: "All frames",
+    siteDetailFrames: "Embedded frames:",
+    digitsLabel: "Digits:",
+    digitsUnchangedOption: "Unchanged",
+    digitsPersianOption: "Persian (۱۲۳)",
+    digitsArabicOption: "Arabic-Indic (١٢٣)",
+    digitsLatinOption: "Latin (123)",
+    siteDetailDigits: "Digits:",
+    normalizePersianLabel: "Persian Text Normalization:",
+    normalizePersianOffOption: "Off",
+    normalizePersianOnOption: "On (ی, ک and half-spaces)",
+    siteDetailNormalizePersian: "Persian normalization:",
+    headingFontLabel: "Heading Font:",
+    headingFontWeightLabel: "Heading Weight:",
+    formFontLabel: "Form Font:",
+    monoFontLabel: "Monospace Font:",
+    sameAsPageWeightOption: "Same as page weight",
+    siteDetailHeadingFont: "Heading Font:",
+    siteDetailHeadingFontWeight: "Heading Weight:",
+    siteDetailFormFont: "Form Font:",
+    siteDetailMonoFont: "Monospace Font:",
+    fontSizeOrScaleLabel: "Font Size:",
+    fontSizeModeAria:
+      "Font size unit: pixels or a percentage of each element's size",
+    minFontSizeLabel: "Minimum Size (px):",
+    minFontSizePlaceholder: "None",
+    increaseMinFontSizeAria: "Increase minimum size",
+    decreaseMinFontSizeAria: "Decrease minimum size",
+    siteDetailMinFontSize: "Minimum Size:",
+    inputDirectionLabel: "Typing Direction:",
+    inputDirectionOffOption: "Off",
+    inputDirectionOnOption: "Follow the typed text",
+    siteDetailInputDirection: "Typing direction:",
+    shortcutsLabel: "Keyboard Shortcuts",
+    shortcutsDescription:
+      "Shortcuts change the settings of the site open in the current tab.",
+    shortcutToggleDirection: "Switch between RTL and LTR",
+    shortcutToggleSiteOverrides: "Turn the site's changes off or on",
+    shortcutIncreaseFontSize: "Increase font size",
+    shortcutDecreaseFontSize: "Decrease font size",
+    shortcutNotSet: "Not set",
+    shortcutEditHint:
+      "Click a shortcut and press the new keys. Backspace removes it.",
+    shortcutSavedMessage: "Shortcut saved.",
+    shortcutErrorMessage: "This shortcut cannot be used: $ERROR$",
+    changeShortcutsButton: "Change Shortcuts",
+    rtlSelectorsLabel: "Right-to-left blocks",
+    ltrSelectorsLabel: "Left-to-right blocks",
+    pauseLabel: "Changes:",
+    pauseOffOption: "Applied",
+    pauseTabOption: "Paused in this tab",
+    pauseSiteOption: "Paused on this site",
+    pausedBadge: "Paused",
+    pauseSiteButton: "Pause",
+    resumeSiteButton: "Resume",
+    profilesLabel: "Profiles",
+    editedProfileLabel: "Profile to edit:",
+    newProfileButton: "New",
+    renameProfileButton: "Rename",
+    deleteProfileButton: "Delete",
+    namedProfileDescription:
+      "Sites that use this profile take these values; empty fields come from the default profile. Pick a profile for a site from the popup.",
+    newProfilePrompt: "Name of the new profile:",
+    renameProfilePrompt: "New name for this profile:",
+    profileNameTakenMessage: 'A profile named "$NAME$" already exists.',
+    confirmDeleteProfileMessage:
+      'Delete the profile "$NAME$"? The sites that use it keep their own settings and follow the default profile again.',
+    siteDetailProfile: "Profile:",
+    profileLabel: "Profile:",
+    noProfileOption: "None",
+    shortcutCycleProfile: "Switch to the next profile",
+    contextMenuBlockRtl: "Make this block RTL",
+    contextMenuBlockLtr: "Make this block LTR",
+    contextMenuExcludeElement: "Exclude this element from font changes",
+    contextMenuResetSite: "Reset this site",
   };
 }
@@ -1,6 +1,7 @@
 // locales_js/fa.js
-if (typeof window !== "undefined") {
-  window.currentTranslations = {
+// Pages read these through window, the service worker through self.
+if (typeof globalThis !== "undefined") {
+  globalThis.currentTranslations = {
     // ترجمه‌های رابط کاربری
     defaultOption: "پیشفرض",
     browserDefaultOption: "پیش‌فرض مرورگر",
@@ -29,6 +30,7 @@ if (typeof window !== "undefined") {
     textDirectionLabel: "جهت متن صفحه:",
     rtlButton: "راست‌چین",
     ltrButton: "چپ‌چین",
+    autoButton: "خودکار",
     settingsButtonTitle: "تنظیمات",
     resetButtonTitle: "بازنشانی تغییرات",
     settingsPageTitle: "تنظیمات افزونه",
@@ -67,26 +69,148 @@ if (typeof window !== "undefined") {
       "خطایی هنگام بازنشانی تنظیمات رخ داد: $ERROR$",
     cspWarningText:
       "سیاست امنیتی این سایت مانع بارگذاری فونت‌های وب می‌شود. فقط فونت‌های نصب شده روی سیستم شما کار خواهند کرد.",
-
-    // ترجمه نام فونت‌ها
-    vazirmatnFontOption: "وزیرمتن | Vazirmatn",
-    notoSansArabicFontOption: "نوتو سانس عربی | Noto Sans Arabic",
-    cairoFontOption: "قاهره | Cairo",
-    rubikFontOption: "روبیک | Rubik",
-    lalezarFontOption: "لالهزار | Lalezar",
-    balooBhaijaan2FontOption: "بالو بایجان ۲ | Baloo Bhaijaan 2",
-    playpenSansFontOption: "پلی‌پن سنس | Playpen Sans",
-    gulzarFontOption: "گلزار | Gulzar",
-    robotoFontOption: "روبوتو | Roboto",
-    openSansFontOption: "اوپن سانس | Open Sans",
-    interFontOption: "اینتر | Inter",
-    notoSansFontOption: "نوتو سانس | Noto Sans",
-    nunitoFontOption: "نونیتو | Nunito",
-    playfairDisplayFontOption: "پلی‌فیر دیسپلی | Playfair Display",
-    robotoSlabFontOption: "روبوتو اسلب | Roboto Slab",
-    josefinSansFontOption: "ژوزفین سانس | Josefin Sans",
-    merriweatherFontOption: "مری‌ودر | Merriweather",
-    crimsonTextFontOption: "کریمسون تکست | Crimson Text",
-    robotoMonoFontOption: "روبوتو مونو | Roboto Mono",
+    activeRuleLabel: "قانون در حال ویرایش:",
+    newRulePatternPlaceholder: "example.com/path/* یا /regex/",
+    addRuleButtonLabel: "افزودن قانون",
+    rulePrecedenceHint:
+      "هر قانون می‌تواند با یک دامنه، یک دامنه به‌همراه مسیر (* به‌عنوان وایلدکارد) یا یک /عبارت باقاعده/ مطابقت داشته باشد. اگر چند قانون مطابقت داشته باشند، دقیق‌ترین آن‌ها اعمال می‌شود: ابتدا قانون‌های مسیر، سپس عبارت‌های باقاعده، دامنه‌های دقیق و در آخر دامنه‌های وایلدکارد.",
+    editRulePatternButton: "ویرایش الگو",
+    editRulePatternPrompt: "الگوی آدرس جدید را برای این قانون وارد کنید:",
+    invalidRulePatternMessage: "«$PATTERN$» یک الگوی آدرس معتبر نیست.",
+    ruleAlreadyExistsMessage: "قانونی برای «$PATTERN$» از قبل وجود دارد.",
+    ruleAddedMessage:
+      "قانون «$PATTERN$» اضافه شد. یک صفحه‌ی منطبق را باز کنید و از پنجره‌ی افزونه آن را تنظیم کنید.",
+    inheritedBadge: "ارث‌بری",
+    resetToInheritTitle: "استفاده از مقدار پروفایل پیش‌فرض",
+    defaultProfileLabel: "پروفایل پیش‌فرض",
+    defaultProfileDescription:
+      "همهٔ سایت‌ها از این مقادیر استفاده می‌کنند، مگر آنکه تنظیمات خودشان آن‌ها را تغییر دهد.",
+    excludeSelectorsLabel: "انتخابگرهای مستثنا",
+    includeSelectorsLabel: "انتخابگرهای همیشه اعمال‌شونده",
+    selectorListHint:
+      "در هر خط یک انتخابگر CSS. فهرست‌های هر سایت به این فهرست‌ها افزوده می‌شوند.",
+    restoreDefaultSelectorsButton: "بازگردانی استثناهای پیش‌فرض",
+    saveSelectorsButton: "ذخیرهٔ انتخابگرها",
+    invalidSelectorMessage: "انتخابگر CSS نامعتبر: $SELECTOR$",
+    selectorsSavedMessage: "انتخابگرها ذخیره شدند.",
+    scopeLabel: "بخش صفحه",
+    pickScopeButton: "انتخاب یک بخش",
+    clearScopeTitle: "اعمال روی کل صفحه",
+    wholePageLabel: "کل صفحه",
+    siteDetailScope: "بخش:",
+    latinFontLabel: "فونت لاتین:",
+    sameAsPageFontOption: "همان فونت صفحه",
+    siteDetailLatinFont: "فونت لاتین:",
+    customFontsLabel: "فونت‌های سفارشی",
+    customFontsDescription:
+      "فایل‌های فونت خود را (TTF، OTF، WOFF یا WOFF2) بارگذاری کنید. این فایل‌ها روی همین دستگاه نگه داشته می‌شوند و مانند هر فونت دیگری قابل انتخاب‌اند. برای افزودن وزن‌ها یا حالت ایتالیک، چند فایل را با یک نام بارگذاری کنید.",
+    customFontFileLabel: "فایل فونت",
+    customFontFamilyLabel: "نام فونت",
+    customFontFamilyPlaceholder: "مثلاً My Font",
+    customFontStyleLabel: "حالت",
+    fontStyleNormal: "معمولی",
+    fontStyleItalic: "ایتالیک",
+    variableWeightOption: "متغیر (۱۰۰ تا ۹۰۰)",
+    uploadFontButton: "بارگذاری فونت",
+    noCustomFontsMessage: "هنوز فونتی بارگذاری نشده است.",
+    customFontInvalidTypeMessage:
+      "یک فایل TTF، OTF، WOFF یا WOFF2 انتخاب کنید.",
+    customFontTooLargeMessage: "حجم فایل بیشتر از ۱۰ مگابایت است.",
+    customFontInvalidFileMessage: "این فایل به‌عنوان فونت خوانده نشد.",
+    customFontNameInvalidMessage:
+      "نام فونت را فقط با حروف، اعداد، فاصله، خط تیره یا زیرخط وارد کنید.",
+    customFontNameTakenMessage: "افزونه از قبل فونتی با این نام دارد.",
+    customFontAddedMessage: "«$FAMILY$» اضافه شد.",
+    deleteFontFileTitle: "حذف این فایل",
+    installedFontOption: "فونت نصب‌شده…",
+    installedFontPlaceholder: "نام یک فونت نصب‌شده را بنویسید",
+    fontUnavailableWarningText:
+      "«$FONT$» روی این رایانه نصب نیست، پس صفحه‌ها به‌جای آن از Tahoma استفاده می‌کنند.",
+    fontSearchPlaceholder: "جستجوی فونت",
+    fontCategoryAll: "همه سبک‌ها",
+    fontCategorySans: "بدون گیره (Sans)",
+    fontCategorySerif: "گیره‌دار (Serif)",
+    fontCategoryMono: "هم‌عرض (Mono)",
+    fontCategoryDisplay: "نمایشی",
+    fontCategoryHandwriting: "دست‌نویس",
+    arabicScriptFilterLabel: "فقط فونت‌های دارای خط فارسی/عربی",
+    noMatchingFontsOption: "فونتی پیدا نشد",
+    framesLabel: "قاب‌های جاسازی‌شده",
+    framesOwnRulesOption: "از تنظیمات سایت خودشان استفاده کنند",
+    framesSameSiteOption: "قاب‌های همین سایت",
+    framesAllOption: "همه قاب‌ها",
+    siteDetailFrames: "قاب‌های جاسازی‌شده:",
+    digitsLabel: "ارقام:",
+    digitsUnchangedOption: "بدون تغییر",
+    digitsPersianOption: "فارسی (۱۲۳)",
+    digitsArabicOption: "عربی (١٢٣)",
+    digitsLatinOption: "لاتین (123)",
+    siteDetailDigits: "ارقام:",
+    normalizePersianLabel: "یکسان‌سازی متن فارسی:",
+    normalizePersianOffOption: "خاموش",
+    normalizePersianOnOption: "روشن (ی، ک و نیم‌فاصله)",
+    siteDetailNormalizePersian: "یکسان‌سازی فارسی:",
+    headingFontLabel: "فونت عنوان‌ها:",
+    headingFontWeightLabel: "وزن عنوان‌ها:",
+    formFontLabel: "فونت فرم‌ها:",
+    monoFontLabel: "فونت هم‌عرض (کد):",
+    sameAsPageWeightOption: "همانند وزن صفحه",
+    siteDetailHeadingFont: "فونت عنوان‌ها:",
+    siteDetailHeadingFontWeight: "وزن عنوان‌ها:",
+    siteDetailFormFont: "فونت فرم‌ها:",
+    siteDetailMonoFont: "فونت هم‌عرض:",
+    fontSizeOrScaleLabel: "اندازه فونت:",
+    fontSizeModeAria: "واحد اندازه فونت: پیکسل یا درصدی از اندازه هر عنصر",
+    minFontSizeLabel: "کمترین اندازه (px):",
+    minFontSizePlaceholder: "ندارد",
+    increaseMinFontSizeAria: "افزایش کمترین اندازه",
+    decreaseMinFontSizeAria: "کاهش کمترین اندازه",
+    siteDetailMinFontSize: "کمترین اندازه:",
+    inputDirectionLabel: "جهت هنگام تایپ:",
+    inputDirectionOffOption: "خاموش",
+    inputDirectionOnOption: "پیروی از متن تایپ‌شده",
+    siteDetailInputDirection: "جهت تایپ:",
+    shortcutsLabel: "میان‌برهای صفحه‌کلید",
+    shortcutsDescription:
+      "میان‌برها تنظیمات سایتِ باز در زبانهٔ کنونی را تغییر می‌دهند.",
+    shortcutToggleDirection: "جابه‌جایی بین راست‌به‌چپ و چپ‌به‌راست",
+    shortcutToggleSiteOverrides: "خاموش یا روشن کردن تغییرات سایت",
+    shortcutIncreaseFontSize: "افزایش اندازهٔ قلم",
+    shortcutDecreaseFontSize: "کاهش اندازهٔ قلم",
+    shortcutNotSet: "تعیین نشده",
+    shortcutEditHint:
+      "روی یک میان‌بر کلیک کنید و کلیدهای جدید را بزنید. Backspace آن را حذف می‌کند.",
+    shortcutSavedMessage: "میان‌بر ذخیره شد.",
+    shortcutErrorMessage: "این میان‌بر قابل استفاده نیست: $ERROR$",
+    changeShortcutsButton: "تغییر میان‌برها",
+    rtlSelectorsLabel: "بخش‌های راست‌به‌چپ",
+    ltrSelectorsLabel: "بخش‌های چپ‌به‌راست",
+    pauseLabel: "تغییرات:",
+    pauseOffOption: "اعمال‌شده",
+    pauseTabOption: "توقف در این زبانه",
+    pauseSiteOption: "توقف در این سایت",
+    pausedBadge: "متوقف",
+    pauseSiteButton: "توقف",
+    resumeSiteButton: "ازسرگیری",
+    profilesLabel: "نمایه‌ها",
+    editedProfileLabel: "نمایهٔ در حال ویرایش:",
+    newProfileButton: "جدید",
+    renameProfileButton: "تغییر نام",
+    deleteProfileButton: "حذف",
+    namedProfileDescription:
+      "سایت‌هایی که از این نمایه استفاده می‌کنند این مقادیر را می‌گیرند؛ فیلدهای خالی از نمایهٔ پیش‌فرض می‌آیند. نمایهٔ هر سایت را از پنجرهٔ افزونه انتخاب کنید.",
+    newProfilePrompt: "نام نمایهٔ جدید:",
+    renameProfilePrompt: "نام جدید این نمایه:",
+    profileNameTakenMessage: "نمایه‌ای با نام «$NAME$» از قبل وجود دارد.",
+    confirmDeleteProfileMessage:
+      "نمایهٔ «$NAME$» حذف شود؟ سایت‌هایی که از آن استفاده می‌کنند تنظیمات خود را نگه می‌دارند و دوباره از نمایهٔ پیش‌فرض پیروی می‌کنند.",
+    siteDetailProfile: "نمایه:",
+    profileLabel: "نمایه:",
+    noProfileOption: "هیچ‌کدام",
+    shortcutCycleProfile: "رفتن به نمایهٔ بعدی",
+    contextMenuBlockRtl: "راست‌به‌چپ کردن این بخش",
+    contextMenuBlockLtr: "چپ‌به‌راست کردن این بخش",
+    contextMenuExcludeElement: "مستثنا کردن این عنصر از تغییر فونت",
+    contextMenuResetSite: "بازنشانی این سایت",
   };
 }
@@ -5,120 +5,359 @@
 
 // --- Global Element References & Configuration ---
 let fontSelect, fontWeightSelect, fontSizeInputElement, lineHeightInputElement;
+let latinFontSelect;
+let headingFontSelect, headingFontWeightSelect, formFontSelect, monoFontSelect;
+let fontSearchInput, fontCategoryFilter, arabicScriptFilter;
 let letterSpacingInputElement, wordSpacingInputElement; // ADDED: New element references
-let btnRtl, btnLtr, resetButton, settingsButton;
+let fontSizeModeSelect, minFontSizeInputElement;
+let btnRtl, btnLtr, btnAuto, resetButton, settingsButton;
+let digitsSelect;
+let normalizePersianSelect;
+let inputDirectionSelect;
+let pickScopeButton, clearScopeButton;
+let framesModeSelect;
+let pauseModeSelect;
+let profileSelect;
+// The fonts of fonts/catalog.json, read by loadSavedSettings.
+let fontCatalog = [];
+// Families uploaded in the settings page, registered for the previews.
+let customFontFamilies = [];
+// The font select option that lets the user type the name of an installed font.
+const INSTALLED_FONT_OPTION_VALUE = "__installedFont__";
 
 /**
- * Configuration object detailing the font-weight capabilities of specific fonts.
+ * Configuration for the custom number input steppers.
  */
-const fontsWithWeightSupport = {
-  Vazirmatn: { variable: true, min: 100, max: 900, step: 100, default: "" },
-  "Noto Sans Arabic": {
-    variable: true,
-    min: 100,
-    max: 900,
-    step: 100,
-    default: "",
-  },
-  Cairo: { variable: true, min: 200, max: 1000, step: 100, default: "" },
-  Rubik: { variable: true, min: 300, max: 900, step: 100, default: "" },
-  "Baloo Bhaijaan 2": {
-    variable: true,
-    min: 400,
-    max: 800,
-    step: 100,
+const numberInputConfig = {
+  fontSizeInput: {
+    min: 8,
+    max: 72,
+    step: 1,
+    base: 16,
     default: "",
+    field: "fontSize",
   },
-  "Playpen Sans": {
-    variable: true,
-    min: 100,
-    max: 900,
-    step: 100,
+  minFontSizeInput: {
+    min: 6,
+    max: 32,
+    step: 1,
+    base: 12,
     default: "",
+    field: "minFontSize",
   },
-  Roboto: { weights: [100, 300, 400, 500, 700, 900], default: "" },
-  "Open Sans": { variable: true, min: 300, max: 800, step: 100, default: "" },
-  Inter: { variable: true, min: 100, max: 900, step: 100, default: "" },
-  "Noto Sans": {
-    weights: [100, 200, 300, 400, 500, 600, 700, 800, 900],
+  lineHeightInput: {
+    min: 0.8,
+    max: 3,
+    step: 0.1,
     default: "",
+    field: "lineHeight",
   },
-  Nunito: { variable: true, min: 200, max: 1000, step: 100, default: "" },
-  "Playfair Display": {
-    variable: true,
-    min: 400,
-    max: 900,
-    step: 100,
+  letterSpacingInput: {
+    min: -5,
+    max: 10,
+    step: 0.1,
     default: "",
+    field: "letterSpacing",
   },
-  "Roboto Slab": { variable: true, min: 100, max: 900, step: 100, default: "" },
-  "Josefin Sans": {
-    variable: true,
-    min: 100,
-    max: 700,
-    step: 100,
+  wordSpacingInput: {
+    min: -10,
+    max: 30,
+    step: 0.5,
     default: "",
+    field: "wordSpacing",
   },
-  Merriweather: { weights: [300, 400, 700, 900], default: "" },
-  "Crimson Text": { weights: [400, 600, 700], default: "" },
-  "Roboto Mono": { variable: true, min: 100, max: 700, step: 100, default: "" },
 };
 
-/**
- * Configuration for the custom number input steppers.
- */
-const numberInputConfig = {
-  fontSizeInput: { min: 8, max: 72, step: 1, default: "" },
-  lineHeightInput: { min: 0.8, max: 3, step: 0.1, default: "" },
-  letterSpacingInput: { min: -5, max: 10, step: 0.1, default: "" },
-  wordSpacingInput: { min: -10, max: 30, step: 0.5, default: "" },
+// What the font size stepper edits in each font size mode: a size in px, or a
+// percentage of each element's own size.
+const FONT_SIZE_MODE_CONFIGS = {
+  px: { min: 8, max: 72, step: 1, base: 16, field: "fontSize" },
+  scale: { min: 50, max: 300, step: 5, base: 100, field: "fontScale" },
 };
 
+// The active rule's own values, and the default profile they are layered on.
+let currentSiteOverrides = {};
+let currentDefaultProfile = {};
+// Whether the changes are paused in the active tab (see savePauseMode).
+let currentTabPaused = false;
+
 /**
  * Caches references to frequently used DOM elements.
  */
 function initializeDOMElements() {
   fontSelect = document.getElementById("fontSelect");
+  latinFontSelect = document.getElementById("latinFontSelect");
   fontWeightSelect = document.getElementById("fontWeightSelect");
+  headingFontSelect = document.getElementById("headingFontSelect");
+  headingFontWeightSelect = document.getElementById("headingFontWeightSelect");
+  formFontSelect = document.getElementById("formFontSelect");
+  monoFontSelect = document.getElementById("monoFontSelect");
   fontSizeInputElement = document.getElementById("fontSizeInput");
   lineHeightInputElement = document.getElementById("lineHeightInput");
   letterSpacingInputElement = document.getElementById("letterSpacingInput");
   wordSpacingInputElement = document.getElementById("wordSpacingInput");
+  fontSizeModeSelect = document.getElementById("fontSizeModeSelect");
+  minFontSizeInputElement = document.getElementById("minFontSizeInput");
   btnRtl = document.getElementById("btnRtl");
   btnLtr = document.getElementById("btnLtr");
+  btnAuto = document.getElementById("btnAuto");
+  digitsSelect = document.getElementById("digitsSelect");
+  normalizePersianSelect = document.getElementById("normalizePersianSelect");
+  inputDirectionSelect = document.getElementById("inputDirectionSelect");
   resetButton = document.getElementById("resetButton");
   settingsButton = document.getElementById("settingsButton");
+  pickScopeButton = document.getElementById("pickScopeButton");
+  clearScopeButton = document.getElementById("clearScopeButton");
+  framesModeSelect = document.getElementById("framesModeSelect");
+  pauseModeSelect = document.getElementById("pauseModeSelect");
+  profileSelect = document.getElementById("profileSelect");
+  fontSearchInput = document.getElementById("fontSearchInput");
+  fontCategoryFilter = document.getElementById("fontCategoryFilter");
+  arabicScriptFilter = document.getElementById("arabicScriptFilter");
 }
 
 /**
- * Populates the main font selector dropdown with options from the global FONT_LIST.
+ * Populates a font selector dropdown with the catalog fonts that pass the
+ * search and category filters. The selected font is always listed.
+ * @param {HTMLSelectElement} selectElement - The dropdown to fill.
+ * @param {string} selectedValue - The font to select.
+ * @param {string} [script] - Only list the fonts that support this script,
+ *   with the empty option reading "Same as page font". Without it, the
+ *   "Arabic script" filter decides.
+ * @param {boolean} [followsPageFont] - Whether the empty option reads "Same
+ *   as page font" rather than "Default".
  */
-function populateFontSelectDOM(selectElement, selectedValue) {
-  if (!selectElement || !window.FONT_LIST || !window.currentTranslations)
-    return;
+function populateFontSelectDOM(
+  selectElement,
+  selectedValue,
+  script = null,
+  followsPageFont = Boolean(script)
+) {
+  if (!selectElement || !window.currentTranslations) return;
   selectElement.innerHTML = "";
 
-  window.FONT_LIST.forEach((font) => {
+  const defaultOption = document.createElement("option");
+  defaultOption.value = "";
+  defaultOption.textContent = followsPageFont
+    ? window.currentTranslations.sameAsPageFontOption || "Same as page font"
+    : window.currentTranslations.defaultOption || "Default";
+  defaultOption.style.fontFamily = "var(--ui-font)";
+  defaultOption.selected = !selectedValue;
+  selectElement.appendChild(defaultOption);
+
+  const matchingFonts = FontCatalog.filterFonts(fontCatalog, {
+    query: fontSearchInput?.value || "",
+    category: fontCategoryFilter?.value || "",
+    script: script || (arabicScriptFilter?.checked ? "arabic" : ""),
+  });
+  const selectedCatalogFont = FontCatalog.findFont(fontCatalog, selectedValue);
+  if (selectedCatalogFont && !matchingFonts.includes(selectedCatalogFont)) {
+    matchingFonts.unshift(selectedCatalogFont);
+  }
+  matchingFonts.forEach((font) => {
     const option = document.createElement("option");
-    option.value = font.value;
-    option.textContent =
-      window.currentTranslations[font.labelKey] || font.value || "Default";
-    if (font.value) {
-      option.style.fontFamily = `'${font.value}'`;
-    } else {
-      option.style.fontFamily = "var(--ui-font)";
-    }
-    if (font.value === selectedValue) {
-      option.selected = true;
-    }
+    option.value = font.family;
+    option.textContent = FontCatalog.getDisplayName(
+      font,
+      window.currentLanguageCode
+    );
+    option.style.fontFamily = `'${font.family}'`;
+    option.selected = font.family === selectedValue;
+    selectElement.appendChild(option);
+  });
+  if (matchingFonts.length === 0) {
+    const emptyOption = document.createElement("option");
+    emptyOption.disabled = true;
+    emptyOption.textContent =
+      window.currentTranslations.noMatchingFontsOption || "No matching fonts";
+    selectElement.appendChild(emptyOption);
+  }
+
+  // Uploaded fonts have no known script, so they are offered in both lists,
+  // followed by a font typed by name and the option to type one.
+  const extraFamilies = [...customFontFamilies];
+  if (isInstalledFontName(selectedValue)) extraFamilies.push(selectedValue);
+  extraFamilies.forEach((family) => {
+    const option = document.createElement("option");
+    option.value = family;
+    option.textContent = family;
+    option.style.fontFamily = `'${family}'`;
+    if (family === selectedValue) option.selected = true;
     selectElement.appendChild(option);
   });
+  const installedFontOption = document.createElement("option");
+  installedFontOption.value = INSTALLED_FONT_OPTION_VALUE;
+  installedFontOption.textContent =
+    window.currentTranslations.installedFontOption || "Installed font…";
+  installedFontOption.style.fontFamily = "var(--ui-font)";
+  selectElement.appendChild(installedFontOption);
 
   selectElement.style.fontFamily = selectedValue
     ? `"${selectedValue}", var(--ui-font)`
     : "var(--ui-font)";
 }
 
+/**
+ * A font the user typed by name: neither offered by the extension nor uploaded.
+ * @param {string} fontName - A font family.
+ * @returns {boolean}
+ */
+function isInstalledFontName(fontName) {
+  return (
+    Boolean(fontName) &&
+    !FontCatalog.findFont(fontCatalog, fontName) &&
+    !customFontFamilies.includes(fontName)
+  );
+}
+
+/**
+ * Checks whether a font is installed on this computer. document.fonts.check()
+ * reports unknown local names as available, so the text is also measured: a
+ * missing font renders exactly like the generic fallback it is paired with.
+ * @param {string} fontName - A font family.
+ * @returns {boolean}
+ */
+function isFontInstalled(fontName) {
+  const fontFamily = `"${fontName}"`;
+  if (!document.fonts.check(`16px ${fontFamily}`)) return false;
+  const context = document.createElement("canvas").getContext("2d");
+  const sample = "mmmmmmmmmwwwwwlli 0123 ابجد هوز";
+  return ["monospace", "serif", "sans-serif"].some((fallback) => {
+    context.font = `72px ${fallback}`;
+    const fallbackWidth = context.measureText(sample).width;
+    context.font = `72px ${fontFamily}, ${fallback}`;
+    return context.measureText(sample).width !== fallbackWidth;
+  });
+}
+
+/**
+ * Warns when a font typed by name is not installed, since the page would
+ * silently fall back to Tahoma.
+ * @param {object} settings - The effective settings.
+ */
+function updateFontAvailabilityWarning(settings) {
+  const warningElement = document.getElementById("fontUnavailableWarning");
+  const textElement = document.getElementById("fontUnavailableText");
+  if (!warningElement || !textElement) return;
+  const missingFonts = [
+    settings.font,
+    settings.latinFont,
+    settings.headingFont,
+    settings.formFont,
+    settings.monoFont,
+  ].filter((font) => isInstalledFontName(font) && !isFontInstalled(font));
+  if (missingFonts.length === 0) {
+    warningElement.style.display = "none";
+    return;
+  }
+  textElement.textContent = (
+    window.currentTranslations?.fontUnavailableWarningText ||
+    '"$FONT$" is not installed on this computer, so pages will use Tahoma instead.'
+  ).replace("$FONT$", missingFonts.join(", "));
+  warningElement.style.display = "flex";
+}
+
+/**
+ * Shows the text input for typing an installed font under its select.
+ * @param {string} field - The font field, e.g. "font" or "latinFont".
+ */
+function showInstalledFontInput(field) {
+  const input = document.querySelector(
+    `.local-font-input[data-field="${field}"]`
+  );
+  if (!input) return;
+  input.value = "";
+  input.hidden = false;
+  input.focus();
+}
+
+/**
+ * Saves the typed font name, or restores the select when nothing was typed.
+ * @param {HTMLInputElement} input - A .local-font-input.
+ */
+function handleInstalledFontInputChange(input) {
+  // The name is placed inside CSS strings.
+  const fontName = input.value.replace(/["\\]/g, "").trim();
+  input.hidden = true;
+  if (fontName) {
+    const changedFields = { [input.dataset.field]: fontName };
+    if (input.dataset.field === "font") changedFields.fontWeight = "";
+    if (input.dataset.field === "headingFont")
+      changedFields.headingFontWeight = "";
+    saveSiteOverrides(changedFields);
+  }
+  renderSettingsUI();
+}
+
+/**
+ * @param {string} fontName - A font family.
+ * @returns {number[]} The weights the catalog offers for it (none for other fonts).
+ */
+function getFontWeights(fontName) {
+  const font = FontCatalog.findFont(fontCatalog, fontName);
+  return font ? FontCatalog.getWeights(font) : [];
+}
+
+/**
+ * Rebuilds the font dropdowns after the search or a filter changed.
+ */
+function refreshFontSelects() {
+  const settings = SiteRules.mergeWithDefaults(
+    currentDefaultProfile,
+    currentSiteOverrides
+  );
+  populateFontSelectDOM(fontSelect, settings.font);
+  populateFontSelectDOM(latinFontSelect, settings.latinFont, "latin");
+  populateRoleFontSelects(settings);
+}
+
+/**
+ * Fills the dropdowns of the typographic roles, whose empty option follows
+ * the page font.
+ * @param {object} settings - The effective settings.
+ */
+function populateRoleFontSelects(settings) {
+  populateFontSelectDOM(headingFontSelect, settings.headingFont, null, true);
+  populateFontSelectDOM(formFontSelect, settings.formFont, null, true);
+  populateFontSelectDOM(monoFontSelect, settings.monoFont, null, true);
+}
+
+/**
+ * Rebuilds the heading weight dropdown for the font headings use.
+ * @param {object} settings - The effective settings.
+ */
+function updateHeadingFontWeightSelector(settings) {
+  if (!headingFontWeightSelect || !window.currentTranslations) return;
+  const fontName = settings.headingFont || settings.font;
+  headingFontWeightSelect.innerHTML = `<option value="">${
+    window.currentTranslations.sameAsPageWeightOption || "Same as page weight"
+  }</option>`;
+  let weights = getFontWeights(fontName);
+  // Fonts outside the catalog still have a regular and a bold face.
+  if (weights.length < 2) weights = [400, 700];
+  weights.forEach((w) => {
+    const option = document.createElement("option");
+    option.value = w;
+    option.textContent = w;
+    option.style.fontFamily = fontName
+      ? `"${fontName}", var(--ui-font)`
+      : "var(--ui-font)";
+    option.style.fontWeight = w;
+    headingFontWeightSelect.appendChild(option);
+  });
+  headingFontWeightSelect.value = settings.headingFontWeight || "";
+}
+
+/**
+ * @param {object} source - Stored or effective settings.
+ * @returns {object} The fields of the typographic roles, "" when unset.
+ */
+function getRoleSettings(source) {
+  return Object.fromEntries(
+    SiteRules.ROLE_FIELDS.map((field) => [field, source[field] || ""])
+  );
+}
+
 /**
  * Updates the font weight dropdown's style to preview the selected font and weight.
  */
@@ -129,7 +368,7 @@ function updateFontWeightSelectAppearance() {
 
   if (
     selectedFontFamily &&
-    fontsWithWeightSupport[selectedFontFamily] &&
+    getFontWeights(selectedFontFamily).length > 1 &&
     selectedWeight
   ) {
     fontWeightSelect.style.fontFamily = `"${selectedFontFamily}", var(--ui-font)`;
@@ -144,21 +383,223 @@ function updateFontWeightSelectAppearance() {
  * Sets the visual 'active' state on the direction buttons.
  */
 function updateDirectionButtonsVisualState(activeDirection) {
-  if (!btnRtl || !btnLtr) return;
+  if (!btnRtl || !btnLtr || !btnAuto) return;
   btnRtl.classList.toggle("active", activeDirection === "rtl");
   btnLtr.classList.toggle("active", activeDirection === "ltr");
+  btnAuto.classList.toggle("active", activeDirection === "auto");
 }
 
 /**
  * Gets the currently selected text direction from the UI buttons.
  */
 function getCurrentSelectedDirection() {
-  if (!btnRtl || !btnLtr) return "";
+  if (!btnRtl || !btnLtr || !btnAuto) return "";
   if (btnRtl.classList.contains("active")) return "rtl";
   if (btnLtr.classList.contains("active")) return "ltr";
+  if (btnAuto.classList.contains("active")) return "auto";
   return "";
 }
 
+/**
+ * Shows which URL rule the popup is editing when it is more than the plain hostname.
+ */
+function updateActiveRuleLabel(ruleKey, hostname) {
+  const activeRuleElement = document.getElementById("activeRuleLabel");
+  if (!activeRuleElement) return;
+  const showRule = Boolean(ruleKey) && ruleKey !== hostname;
+  activeRuleElement.style.display = showRule ? "block" : "none";
+  activeRuleElement.querySelector(".active-rule-pattern").textContent = showRule
+    ? ruleKey
+    : "";
+}
+
+/**
+ * Shows the region of the page the active rule is limited to, if any.
+ */
+function renderScopeControl() {
+  const scopeSelector = currentSiteOverrides.scopeSelector || "";
+  document
+    .getElementById("scopeGroup")
+    ?.classList.toggle("has-scope", Boolean(scopeSelector));
+  const scopeValueElement = document.getElementById("scopeSelectorValue");
+  if (scopeValueElement) {
+    scopeValueElement.textContent =
+      scopeSelector ||
+      window.currentTranslations?.wholePageLabel ||
+      "Whole page";
+  }
+}
+
+/**
+ * Starts the element picker in the page. The page saves the clicked element as
+ * the scope of the active rule, so the popup can close right away.
+ */
+async function startScopePicker() {
+  const currentTab = await getCurrentTab();
+  if (!currentTab?.id) return;
+  try {
+    const ruleKey = await resolveRuleKeyForTab(currentTab);
+    // Only the top frame picks; every frame runs the content script.
+    await browser.tabs.sendMessage(
+      currentTab.id,
+      { action: "startElementPicker", ruleKey },
+      { frameId: 0 }
+    );
+    window.close();
+  } catch (error) {
+    console.warn(`Could not start the element picker: ${error.message}`);
+  }
+}
+
+/**
+ * Removes the active rule's scope so it applies to the whole page again.
+ */
+async function clearScope() {
+  const currentTab = await getCurrentTab();
+  if (!currentTab) return;
+  try {
+    const ruleKey = await resolveRuleKeyForTab(currentTab);
+    const data = await browser.storage.sync.get(ruleKey);
+    if (!data[ruleKey]) return;
+    const settings = { ...data[ruleKey] };
+    delete settings.scopeSelector;
+    await browser.storage.sync.set({ [ruleKey]: settings });
+  } catch (error) {
+    console.error("Error clearing the scope:", error);
+  }
+}
+
+/**
+ * Shows which embedded frames use the active rule's settings.
+ */
+function renderFramesControl() {
+  if (framesModeSelect)
+    framesModeSelect.value = currentSiteOverrides.frames || "";
+}
+
+/**
+ * Stores which embedded frames use the active rule's settings. The frames
+ * pick the change up from storage.
+ */
+async function saveFramesMode() {
+  const currentTab = await getCurrentTab();
+  if (!currentTab) return;
+  const frames = framesModeSelect.value;
+  try {
+    const ruleKey = await resolveRuleKeyForTab(currentTab);
+    const data = await browser.storage.sync.get(ruleKey);
+    if (!data[ruleKey] && !frames) return;
+    const settings = { ...data[ruleKey], host: ruleKey };
+    if (frames) settings.frames = frames;
+    else delete settings.frames;
+    await browser.storage.sync.set({ [ruleKey]: settings });
+    currentSiteOverrides = { ...currentSiteOverrides, frames };
+  } catch (error) {
+    console.error("Error saving the frames option:", error);
+  }
+}
+
+/**
+ * Shows whether the changes are applied, paused in this tab or paused on the
+ * whole site.
+ */
+function renderPauseControl() {
+  const pauseMode = currentSiteOverrides.paused
+    ? "site"
+    : currentTabPaused
+    ? "tab"
+    : "";
+  if (pauseModeSelect) pauseModeSelect.value = pauseMode;
+  document.body.classList.toggle("is-paused", Boolean(pauseMode));
+}
+
+/**
+ * Pauses the changes in the active tab until it is closed, or on the active
+ * rule's pages until they are resumed here. The saved settings stay as they
+ * are. Pages pick up a site pause from storage; a tab pause is sent to every
+ * frame of the tab, since content scripts get no storage.session events.
+ */
+async function savePauseMode() {
+  const currentTab = await getCurrentTab();
+  if (!currentTab) return;
+  const pauseMode = pauseModeSelect.value;
+  const sitePaused = pauseMode === "site";
+  try {
+    const ruleKey = await resolveRuleKeyForTab(currentTab);
+    const data = await browser.storage.sync.get(ruleKey);
+    if (Boolean(data[ruleKey]?.paused) !== sitePaused) {
+      const settings = { ...data[ruleKey], host: ruleKey };
+      if (sitePaused) settings.paused = true;
+      else delete settings.paused;
+      await browser.storage.sync.set({ [ruleKey]: settings });
+    }
+    const key = SiteRules.PAUSED_TABS_KEY;
+    const sessionData = await browser.storage.session.get(key);
+    const pausedTabs = (sessionData[key] || []).filter(
+      (tabId) => tabId !== currentTab.id
+    );
+    if (pauseMode === "tab") pausedTabs.push(currentTab.id);
+    await browser.storage.session.set({ [key]: pausedTabs });
+    if (pauseMode === "tab" || currentTabPaused) {
+      try {
+        await browser.tabs.sendMessage(currentTab.id, {
+          action: "setTabPaused",
+          paused: pauseMode === "tab",
+        });
+      } catch (error) {
+        console.warn(`Could not send the tab's pause: ${error.message}`);
+      }
+    }
+    currentSiteOverrides = { ...currentSiteOverrides, paused: sitePaused };
+    currentTabPaused = pauseMode === "tab";
+    renderPauseControl();
+  } catch (error) {
+    console.error("Error saving the pause:", error);
+  }
+}
+
+/**
+ * Lists the named profiles and selects the one the active rule uses.
+ * @param {object} siteData - The full contents of browser.storage.sync.
+ */
+function renderProfileControl(siteData) {
+  if (!profileSelect) return;
+  profileSelect
+    .querySelectorAll('option:not([value=""])')
+    .forEach((option) => option.remove());
+  SiteRules.getProfiles(siteData).forEach(({ id, name }) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = name;
+    profileSelect.appendChild(option);
+  });
+  const profileId = currentSiteOverrides.profile || "";
+  profileSelect.value = siteData[SiteRules.getProfileKey(profileId)]
+    ? profileId
+    : "";
+}
+
+/**
+ * Makes the active rule use the chosen profile. The popup reloads once the
+ * rule is stored, and the pages pick the change up from storage.
+ */
+async function saveProfile() {
+  const currentTab = await getCurrentTab();
+  if (!currentTab) return;
+  const profile = profileSelect.value;
+  try {
+    const ruleKey = await resolveRuleKeyForTab(currentTab);
+    const data = await browser.storage.sync.get(ruleKey);
+    if (!data[ruleKey] && !profile) return;
+    const settings = { ...data[ruleKey], host: ruleKey };
+    if (profile) settings.profile = profile;
+    else delete settings.profile;
+    await browser.storage.sync.set({ [ruleKey]: settings });
+  } catch (error) {
+    console.error("Error saving the profile:", error);
+  }
+}
+
 /**
  * Asynchronously retrieves the currently active tab in the current window.
  */
@@ -175,8 +616,21 @@ async function getCurrentTab() {
   }
 }
 
+/**
+ * Resolves the storage key that holds the settings for a tab: the most specific
+ * matching URL rule, or the tab's hostname when no rule exists yet.
+ */
+async function resolveRuleKeyForTab(tab) {
+  const hostname = new URL(tab.url).hostname;
+  const data = await browser.storage.sync.get(null);
+  const rule = SiteRules.resolveRule(data, tab.url);
+  return rule ? rule.key : hostname;
+}
+
 /**
  * Saves all settings to sync storage and sends them to the content script of the active tab.
+ * @param {object} [ruleFields] - Other fields of the rule to replace, such as
+ *   its profile or pause.
  */
 async function saveAndApplySettings(
   font,
@@ -185,7 +639,16 @@ async function saveAndApplySettings(
   lineHeight,
   fontWeight,
   letterSpacing,
-  wordSpacing
+  wordSpacing,
+  latinFont,
+  digits,
+  normalizePersian,
+  inputDirection,
+  fontSizeMode,
+  fontScale,
+  minFontSize,
+  roleSettings,
+  ruleFields = {}
 ) {
   const currentTab = await getCurrentTab();
   if (
@@ -198,14 +661,25 @@ async function saveAndApplySettings(
     return;
   }
 
-  let hostname;
+  let ruleKey;
   try {
-    hostname = new URL(currentTab.url).hostname;
+    ruleKey = await resolveRuleKeyForTab(currentTab);
   } catch (e) {
     return;
   }
 
+  // Keep the fields the popup does not edit, such as the selector lists.
+  let existingSettings = {};
+  let siteData = {};
+  try {
+    siteData = await browser.storage.sync.get(null);
+    existingSettings = siteData[ruleKey] || {};
+  } catch (error) {
+    console.error("Error reading settings:", error);
+  }
+
   const settings = {
+    ...existingSettings,
     font,
     direction,
     fontSize,
@@ -213,11 +687,20 @@ async function saveAndApplySettings(
     fontWeight,
     letterSpacing,
     wordSpacing,
-    host: hostname,
+    latinFont,
+    digits,
+    normalizePersian,
+    inputDirection,
+    fontSizeMode,
+    fontScale,
+    minFontSize,
+    ...roleSettings,
+    ...ruleFields,
+    host: ruleKey,
   };
 
   try {
-    await browser.storage.sync.set({ [hostname]: settings });
+    await browser.storage.sync.set({ [ruleKey]: settings });
   } catch (error) {
     console.error("Error saving settings:", error);
     return;
@@ -226,10 +709,19 @@ async function saveAndApplySettings(
   // --- START: KEY CORRECTION ---
   if (currentTab.id) {
     try {
-      await browser.tabs.sendMessage(currentTab.id, {
-        action: "applyStyles",
-        ...settings,
-      });
+      // Embedded frames follow through the storage change.
+      await browser.tabs.sendMessage(
+        currentTab.id,
+        {
+          action: "applyStyles",
+          // The rule's profile may have changed along with it.
+          ...SiteRules.mergeWithDefaults(
+            SiteRules.getInheritedProfile(siteData, settings),
+            settings
+          ),
+        },
+        { frameId: 0 }
+      );
     } catch (error) {
       console.warn(
         `Could not send message to content script: ${error.message}`
@@ -255,18 +747,69 @@ window.applyTheme = function (theme) {
 };
 
 /**
- * Gathers all current values from the UI controls.
+ * Stores changed fields as overrides of the active rule and applies the result.
+ * An empty value makes a field inherit from the default profile again.
+ * @param {object} changedFields - The fields to update, e.g. `{ fontSize: "16" }`.
  */
-function getCurrentUISettings() {
-  return {
-    font: fontSelect.value,
-    fontWeight: fontWeightSelect.value,
-    direction: getCurrentSelectedDirection(),
-    fontSize: fontSizeInputElement.value.trim(),
-    lineHeight: lineHeightInputElement.value.trim(),
-    letterSpacing: letterSpacingInputElement.value.trim(),
-    wordSpacing: wordSpacingInputElement.value.trim(),
-  };
+function saveSiteOverrides(changedFields) {
+  currentSiteOverrides = { ...currentSiteOverrides, ...changedFields };
+  updateInheritanceIndicators();
+  const overrides = currentSiteOverrides;
+  saveAndApplySettings(
+    overrides.font || "",
+    overrides.direction || "",
+    overrides.fontSize || "",
+    overrides.lineHeight || "",
+    overrides.fontWeight || "",
+    overrides.letterSpacing || "",
+    overrides.wordSpacing || "",
+    overrides.latinFont || "",
+    overrides.digits || "",
+    overrides.normalizePersian || "",
+    overrides.inputDirection || "",
+    overrides.fontSizeMode || "",
+    overrides.fontScale || "",
+    overrides.minFontSize || "",
+    getRoleSettings(overrides)
+  );
+}
+
+/**
+ * Marks every setting group as overriding the default profile or inheriting from it.
+ */
+function updateInheritanceIndicators() {
+  document.querySelectorAll(".setting-group[data-field]").forEach((group) => {
+    const field = group.dataset.field;
+    const isOverridden = SiteRules.isFieldSet(currentSiteOverrides[field]);
+    group.classList.toggle("is-overridden", isOverridden);
+    group.classList.toggle(
+      "is-inherited",
+      !isOverridden && SiteRules.isFieldSet(currentDefaultProfile[field])
+    );
+  });
+}
+
+/**
+ * Points the font size stepper at the field of a font size mode. The minimum
+ * size only applies to scaled sizes, so it is shown with them alone.
+ * @param {"px"|"scale"} mode - The font size mode.
+ */
+function applyFontSizeMode(mode) {
+  const config = FONT_SIZE_MODE_CONFIGS[mode];
+  Object.assign(numberInputConfig.fontSizeInput, config);
+  document
+    .querySelectorAll('.stepper-btn[data-target="fontSizeInput"]')
+    .forEach((button) => (button.dataset.step = config.step));
+  // The inheritance marks and the reset button follow the edited field.
+  const fontSizeGroup = fontSizeInputElement?.closest(".setting-group");
+  if (fontSizeGroup) {
+    fontSizeGroup.dataset.field = config.field;
+    fontSizeGroup.querySelector(".inherit-reset-btn").dataset.field =
+      config.field;
+  }
+  if (fontSizeModeSelect) fontSizeModeSelect.value = mode;
+  const minFontSizeGroup = document.getElementById("minFontSizeGroup");
+  if (minFontSizeGroup) minFontSizeGroup.hidden = mode !== "scale";
 }
 
 /**
@@ -277,30 +820,20 @@ function updateFontWeightSelector(selectedFontName, currentWeightValue) {
   fontWeightSelect.innerHTML = `<option value="">${
     window.currentTranslations.browserDefaultOption || "Browser Default"
   }</option>`;
-  const fontInfo = fontsWithWeightSupport[selectedFontName];
+  const weights = getFontWeights(selectedFontName);
 
-  if (fontInfo && selectedFontName) {
+  // A font with a single weight has nothing to choose from.
+  if (weights.length > 1) {
     fontWeightSelect.disabled = false;
-    if (fontInfo.variable) {
-      for (let w = fontInfo.min; w <= fontInfo.max; w += fontInfo.step || 100) {
-        const option = document.createElement("option");
-        option.value = w;
-        option.textContent = w;
-        option.style.fontFamily = `"${selectedFontName}", var(--ui-font)`;
-        option.style.fontWeight = w;
-        fontWeightSelect.appendChild(option);
-      }
-    } else if (fontInfo.weights) {
-      fontInfo.weights.forEach((w) => {
-        const option = document.createElement("option");
-        option.value = w;
-        option.textContent = w;
-        option.style.fontFamily = `"${selectedFontName}", var(--ui-font)`;
-        option.style.fontWeight = w;
-        fontWeightSelect.appendChild(option);
-      });
-    }
-    fontWeightSelect.value = currentWeightValue || fontInfo.default || "";
+    weights.forEach((w) => {
+      const option = document.createElement("option");
+      option.value = w;
+      option.textContent = w;
+      option.style.fontFamily = `"${selectedFontName}", var(--ui-font)`;
+      option.style.fontWeight = w;
+      fontWeightSelect.appendChild(option);
+    });
+    fontWeightSelect.value = currentWeightValue || "";
   } else {
     fontWeightSelect.disabled = true;
     fontWeightSelect.value = "";
@@ -325,7 +858,7 @@ function addEventListeners() {
       let currentValue = parseFloat(inputElement.value.trim());
 
       if (isNaN(currentValue) || inputElement.value.trim() === "") {
-        let baseValue = targetInputId === "fontSizeInput" ? 16 : 0;
+        let baseValue = config.base || 0;
         currentValue = this.classList.contains("stepper-up")
           ? baseValue - step
           : baseValue + step;
@@ -338,25 +871,16 @@ function addEventListeners() {
       if (config.max !== undefined && currentValue > config.max)
         currentValue = config.max;
 
-      inputElement.value =
-        targetInputId === "fontSizeInput"
-          ? Math.round(currentValue)
-          : parseFloat(currentValue.toFixed(2));
-      const settings = getCurrentUISettings();
-      saveAndApplySettings(
-        settings.font,
-        settings.direction,
-        settings.fontSize,
-        settings.lineHeight,
-        settings.fontWeight,
-        settings.letterSpacing,
-        settings.wordSpacing
-      );
+      inputElement.value = Number.isInteger(config.step)
+        ? Math.round(currentValue)
+        : parseFloat(currentValue.toFixed(2));
+      saveSiteOverrides({ [config.field]: String(inputElement.value) });
     });
   });
 
   const allNumberInputs = [
     fontSizeInputElement,
+    minFontSizeInputElement,
     lineHeightInputElement,
     letterSpacingInputElement,
     wordSpacingInputElement,
@@ -365,16 +889,12 @@ function addEventListeners() {
   allNumberInputs.forEach((inputEl) => {
     if (!inputEl) return;
     inputEl.addEventListener("input", function () {
-      const settings = getCurrentUISettings();
-      saveAndApplySettings(
-        settings.font,
-        settings.direction,
-        settings.fontSize,
-        settings.lineHeight,
-        settings.fontWeight,
-        settings.letterSpacing,
-        settings.wordSpacing
-      );
+      // An emptied field is only committed (as "inherit") on "change", so the
+      // inherited value does not pop back in while the user is still typing.
+      if (this.value.trim() === "") return;
+      saveSiteOverrides({
+        [numberInputConfig[this.id].field]: this.value.trim(),
+      });
     });
 
     inputEl.addEventListener("change", function () {
@@ -389,103 +909,169 @@ function addEventListeners() {
           numericValue = config.min;
         if (config.max !== undefined && numericValue > config.max)
           numericValue = config.max;
-        this.value =
-          targetInputId === "fontSizeInput"
-            ? Math.round(numericValue)
-            : parseFloat(numericValue.toFixed(2));
+        this.value = Number.isInteger(config.step)
+          ? Math.round(numericValue)
+          : parseFloat(numericValue.toFixed(2));
       }
-      const settings = getCurrentUISettings();
-      saveAndApplySettings(
-        settings.font,
-        settings.direction,
-        settings.fontSize,
-        settings.lineHeight,
-        settings.fontWeight,
-        settings.letterSpacing,
-        settings.wordSpacing
-      );
+      saveSiteOverrides({ [config.field]: String(this.value).trim() });
+      if (this.value === "") renderSettingsUI();
     });
   });
 
+  fontSizeModeSelect?.addEventListener("change", () => {
+    saveSiteOverrides({ fontSizeMode: fontSizeModeSelect.value });
+    renderSettingsUI();
+  });
+
   fontSelect.addEventListener("change", () => {
     const selectedFont = fontSelect.value;
+    if (selectedFont === INSTALLED_FONT_OPTION_VALUE) {
+      showInstalledFontInput("font");
+      return;
+    }
     fontSelect.style.fontFamily = selectedFont
       ? `"${selectedFont}", var(--ui-font)`
       : "var(--ui-font)";
-    const fontInfo = fontsWithWeightSupport[selectedFont];
-    const defaultWeightForNewFont = fontInfo ? fontInfo.default || "" : "";
-    updateFontWeightSelector(selectedFont, defaultWeightForNewFont);
-    const settings = getCurrentUISettings();
-    saveAndApplySettings(
-      settings.font,
-      settings.direction,
-      settings.fontSize,
-      settings.lineHeight,
-      settings.fontWeight,
-      settings.letterSpacing,
-      settings.wordSpacing
+    // A new font starts at its default weight.
+    updateFontWeightSelector(selectedFont, "");
+    saveSiteOverrides({ font: selectedFont, fontWeight: "" });
+    updateHeadingFontWeightSelector(
+      SiteRules.mergeWithDefaults(currentDefaultProfile, currentSiteOverrides)
+    );
+    if (!selectedFont) renderSettingsUI();
+  });
+
+  latinFontSelect.addEventListener("change", () => {
+    const selectedFont = latinFontSelect.value;
+    if (selectedFont === INSTALLED_FONT_OPTION_VALUE) {
+      showInstalledFontInput("latinFont");
+      return;
+    }
+    latinFontSelect.style.fontFamily = selectedFont
+      ? `"${selectedFont}", var(--ui-font)`
+      : "var(--ui-font)";
+    saveSiteOverrides({ latinFont: selectedFont });
+    if (!selectedFont) renderSettingsUI();
+  });
+
+  [
+    [headingFontSelect, "headingFont"],
+    [formFontSelect, "formFont"],
+    [monoFontSelect, "monoFont"],
+  ].forEach(([selectElement, field]) => {
+    selectElement?.addEventListener("change", () => {
+      const selectedFont = selectElement.value;
+      if (selectedFont === INSTALLED_FONT_OPTION_VALUE) {
+        showInstalledFontInput(field);
+        return;
+      }
+      const changedFields = { [field]: selectedFont };
+      // A new heading font starts at the page weight.
+      if (field === "headingFont") changedFields.headingFontWeight = "";
+      saveSiteOverrides(changedFields);
+      renderSettingsUI();
+    });
+  });
+
+  headingFontWeightSelect?.addEventListener("change", () => {
+    saveSiteOverrides({ headingFontWeight: headingFontWeightSelect.value });
+  });
+
+  digitsSelect?.addEventListener("change", () => {
+    saveSiteOverrides({ digits: digitsSelect.value });
+    if (!digitsSelect.value) renderSettingsUI();
+  });
+
+  normalizePersianSelect?.addEventListener("change", () => {
+    saveSiteOverrides({ normalizePersian: normalizePersianSelect.value });
+  });
+
+  inputDirectionSelect?.addEventListener("change", () => {
+    saveSiteOverrides({ inputDirection: inputDirectionSelect.value });
+  });
+
+  fontSearchInput?.addEventListener("input", refreshFontSelects);
+  fontCategoryFilter?.addEventListener("change", refreshFontSelects);
+  arabicScriptFilter?.addEventListener("change", refreshFontSelects);
+
+  document.querySelectorAll(".local-font-input").forEach((input) => {
+    input.addEventListener("change", () =>
+      handleInstalledFontInputChange(input)
     );
+    input.addEventListener("keydown", (event) => {
+      if (event.key !== "Escape") return;
+      event.preventDefault();
+      input.value = "";
+      handleInstalledFontInputChange(input);
+    });
   });
 
   fontWeightSelect.addEventListener("change", () => {
     updateFontWeightSelectAppearance();
-    const settings = getCurrentUISettings();
-    saveAndApplySettings(
-      settings.font,
-      settings.direction,
-      settings.fontSize,
-      settings.lineHeight,
-      settings.fontWeight,
-      settings.letterSpacing,
-      settings.wordSpacing
-    );
+    saveSiteOverrides({ fontWeight: fontWeightSelect.value });
   });
 
   btnRtl.addEventListener("click", () => {
     const currentDirection = getCurrentSelectedDirection();
     const newDirection = currentDirection !== "rtl" ? "rtl" : "";
     updateDirectionButtonsVisualState(newDirection);
-    const settings = getCurrentUISettings();
-    saveAndApplySettings(
-      settings.font,
-      newDirection,
-      settings.fontSize,
-      settings.lineHeight,
-      settings.fontWeight,
-      settings.letterSpacing,
-      settings.wordSpacing
-    );
+    saveSiteOverrides({ direction: newDirection });
+    if (!newDirection) renderSettingsUI();
   });
 
   btnLtr.addEventListener("click", () => {
     const currentDirection = getCurrentSelectedDirection();
     const newDirection = currentDirection !== "ltr" ? "ltr" : "";
     updateDirectionButtonsVisualState(newDirection);
-    const settings = getCurrentUISettings();
+    saveSiteOverrides({ direction: newDirection });
+    if (!newDirection) renderSettingsUI();
+  });
+
+  btnAuto.addEventListener("click", () => {
+    const currentDirection = getCurrentSelectedDirection();
+    const newDirection = currentDirection !== "auto" ? "auto" : "";
+    updateDirectionButtonsVisualState(newDirection);
+    saveSiteOverrides({ direction: newDirection });
+    if (!newDirection) renderSettingsUI();
+  });
+
+  resetButton.addEventListener("click", () => {
+    currentSiteOverrides = {};
+    renderSettingsUI();
     saveAndApplySettings(
-      settings.font,
-      newDirection,
-      settings.fontSize,
-      settings.lineHeight,
-      settings.fontWeight,
-      settings.letterSpacing,
-      settings.wordSpacing
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      getRoleSettings({}),
+      // The site also leaves its profile and its pause.
+      { profile: "", paused: false }
     );
   });
 
-  resetButton.addEventListener("click", () => {
-    populateFontSelectDOM(fontSelect, "");
-    updateFontWeightSelector("", "");
-    fontSizeInputElement.value = numberInputConfig.fontSizeInput.default;
-    lineHeightInputElement.value = numberInputConfig.lineHeightInput.default;
-    letterSpacingInputElement.value =
-      numberInputConfig.letterSpacingInput.default;
-    wordSpacingInputElement.value = numberInputConfig.wordSpacingInput.default;
-    updateFontWeightSelectAppearance();
-    updateDirectionButtonsVisualState("");
-    saveAndApplySettings("", "", "", "", "", "", "");
+  document.querySelectorAll(".inherit-reset-btn").forEach((button) => {
+    button.addEventListener("click", () => {
+      saveSiteOverrides({ [button.dataset.field]: "" });
+      renderSettingsUI();
+    });
   });
 
+  pickScopeButton?.addEventListener("click", startScopePicker);
+  clearScopeButton?.addEventListener("click", clearScope);
+  framesModeSelect?.addEventListener("change", saveFramesMode);
+  pauseModeSelect?.addEventListener("change", savePauseMode);
+  profileSelect?.addEventListener("change", saveProfile);
+
   if (settingsButton) {
     settingsButton.addEventListener("click", () => {
       browser.tabs.create({ url: browser.runtime.getURL("settings.html") });
@@ -493,6 +1079,45 @@ function addEventListeners() {
   }
 }
 
+/**
+ * Fills the controls with the effective settings (overrides on top of the
+ * default profile) and marks which of them are inherited.
+ */
+function renderSettingsUI() {
+  const settings = SiteRules.mergeWithDefaults(
+    currentDefaultProfile,
+    currentSiteOverrides
+  );
+
+  populateFontSelectDOM(fontSelect, settings.font);
+  populateFontSelectDOM(latinFontSelect, settings.latinFont, "latin");
+  updateFontWeightSelector(settings.font, settings.fontWeight);
+  populateRoleFontSelects(settings);
+  updateHeadingFontWeightSelector(settings);
+
+  const fontSizeMode = settings.fontSizeMode === "scale" ? "scale" : "px";
+  applyFontSizeMode(fontSizeMode);
+  fontSizeInputElement.value =
+    settings[FONT_SIZE_MODE_CONFIGS[fontSizeMode].field];
+  if (minFontSizeInputElement)
+    minFontSizeInputElement.value = settings.minFontSize;
+  lineHeightInputElement.value = settings.lineHeight;
+  letterSpacingInputElement.value = settings.letterSpacing;
+  wordSpacingInputElement.value = settings.wordSpacing;
+
+  updateDirectionButtonsVisualState(settings.direction);
+  if (digitsSelect) digitsSelect.value = settings.digits;
+  if (normalizePersianSelect)
+    normalizePersianSelect.value =
+      settings.normalizePersian === "on" ? "on" : "off";
+  if (inputDirectionSelect)
+    inputDirectionSelect.value =
+      settings.inputDirection === "on" ? "on" : "off";
+  updateFontWeightSelectAppearance();
+  updateInheritanceIndicators();
+  updateFontAvailabilityWarning(settings);
+}
+
 /**
  * Loads saved settings for the current tab and updates the popup UI.
  */
@@ -536,52 +1161,86 @@ async function loadSavedSettings() {
   if (typeof window.applyTheme === "function")
     window.applyTheme(globalData.theme || "system");
 
-  let siteSettings = null;
+  let activeRuleKey = null;
+  currentSiteOverrides = {};
+  currentDefaultProfile = {};
+  currentTabPaused = false;
+  let siteData = {};
   if (hostname && canInteractWithPage) {
-    const siteData = await browser.storage.sync.get(hostname);
-    siteSettings = siteData[hostname];
+    const pausedTabs =
+      (await browser.storage.session.get(SiteRules.PAUSED_TABS_KEY))[
+        SiteRules.PAUSED_TABS_KEY
+      ] || [];
+    currentTabPaused = pausedTabs.includes(currentTab.id);
+    siteData = await browser.storage.sync.get(null);
+    const rule = SiteRules.resolveRule(siteData, currentTab.url);
+    // The values the rule inherits, from its named profile and the default one.
+    currentDefaultProfile = SiteRules.getInheritedProfile(
+      siteData,
+      rule ? rule.settings : null
+    );
+    if (rule) {
+      currentSiteOverrides = rule.settings;
+      activeRuleKey = rule.key;
+    }
   }
-
-  const currentFont = siteSettings ? siteSettings.font || "" : "";
-  const currentWeight = siteSettings ? siteSettings.fontWeight || "" : "";
-
-  populateFontSelectDOM(fontSelect, currentFont);
-  updateFontWeightSelector(currentFont, currentWeight);
-
-  fontSizeInputElement.value =
-    siteSettings?.fontSize ?? numberInputConfig.fontSizeInput.default;
-  lineHeightInputElement.value =
-    siteSettings?.lineHeight ?? numberInputConfig.lineHeightInput.default;
-  letterSpacingInputElement.value =
-    siteSettings?.letterSpacing ?? numberInputConfig.letterSpacingInput.default;
-  wordSpacingInputElement.value =
-    siteSettings?.wordSpacing ?? numberInputConfig.wordSpacingInput.default;
-
-  updateDirectionButtonsVisualState(
-    siteSettings ? siteSettings.direction || "" : ""
-  );
-  updateFontWeightSelectAppearance();
+  try {
+    fontCatalog = await FontCatalog.loadCatalog();
+  } catch (e) {
+    console.error("Error loading the font catalog:", e);
+  }
+  try {
+    customFontFamilies = await CustomFonts.registerFontFaces();
+  } catch (e) {
+    console.error("Error loading custom fonts:", e);
+  }
+  updateActiveRuleLabel(activeRuleKey, hostname);
+  renderSettingsUI();
+  renderScopeControl();
+  renderFramesControl();
+  renderPauseControl();
+  renderProfileControl(siteData);
 
   const UIElementsToDisable = [
     fontSelect,
+    latinFontSelect,
+    fontSearchInput,
+    fontCategoryFilter,
+    arabicScriptFilter,
     fontWeightSelect,
+    headingFontSelect,
+    headingFontWeightSelect,
+    formFontSelect,
+    monoFontSelect,
     fontSizeInputElement,
+    fontSizeModeSelect,
+    minFontSizeInputElement,
     lineHeightInputElement,
     letterSpacingInputElement,
     wordSpacingInputElement,
     btnLtr,
     btnRtl,
+    btnAuto,
+    digitsSelect,
+    normalizePersianSelect,
+    inputDirectionSelect,
     resetButton,
+    pickScopeButton,
+    clearScopeButton,
+    framesModeSelect,
+    pauseModeSelect,
+    profileSelect,
   ];
   UIElementsToDisable.forEach((el) => {
     if (el) el.disabled = !canInteractWithPage;
   });
   document
-    .querySelectorAll(".stepper-btn")
+    .querySelectorAll(".stepper-btn, .inherit-reset-btn")
     .forEach((btn) => (btn.disabled = !canInteractWithPage));
 
+  const currentFont = fontSelect.value;
   if (canInteractWithPage) {
-    if (!fontsWithWeightSupport[currentFont] || !currentFont) {
+    if (getFontWeights(currentFont).length < 2) {
       fontWeightSelect.disabled = true;
     }
   } else {
@@ -611,21 +1270,24 @@ browser.storage.onChanged.addListener(async (changes, namespace) => {
   if (namespace === "sync") {
     let needsReloadForSettings = false;
     const tab = await getCurrentTab();
-    let currentHostnameForStorageChange = null;
-    if (
+    const currentTabUrl =
       tab &&
       tab.url &&
       (tab.url.startsWith("http") || tab.url.startsWith("file"))
-    ) {
-      try {
-        currentHostnameForStorageChange = new URL(tab.url).hostname;
-      } catch (e) {}
-    }
+        ? tab.url
+        : null;
 
     for (let key in changes) {
       if (
-        currentHostnameForStorageChange &&
-        key === currentHostnameForStorageChange
+        currentTabUrl &&
+        SiteRules.isRuleKey(key) &&
+        SiteRules.ruleMatchesUrl(key, currentTabUrl)
+      ) {
+        needsReloadForSettings = true;
+      }
+      if (
+        key === SiteRules.DEFAULT_PROFILE_KEY ||
+        SiteRules.isProfileKey(key)
       ) {
         needsReloadForSettings = true;
       }
@@ -653,8 +1315,9 @@ browser.storage.onChanged.addListener(async (changes, namespace) => {
       } catch (e) {}
     }
     if (
-      currentHostnameForStorageChange &&
-      changes[currentHostnameForStorageChange]
+      (currentHostnameForStorageChange &&
+        changes[currentHostnameForStorageChange]) ||
+      changes[SiteRules.PAUSED_TABS_KEY]
     ) {
       await loadSavedSettings();
     }
@@ -7,6 +7,68 @@
  * (popup, settings page, content scripts) are synchronized with the latest data.
  */
 
+// Chrome runs this file as a service worker, which has to import the shared
+// scripts that Firefox loads through "background.scripts" in the manifest.
+if (typeof importScripts === "function") {
+  importScripts(
+    "lib/browser-polyfill.min.js",
+    "site-rules.js",
+    "custom-fonts.js"
+  );
+}
+
+// The early styles cache that content.js writes, one browser.storage.local
+// key per hostname (see early-styles.js).
+const EARLY_STYLES_KEY_PREFIX = "earlyStyles:";
+// Enough for the sites visited regularly; the oldest entries are dropped.
+const MAX_EARLY_STYLES_ENTRIES = 500;
+
+/**
+ * Removes the cached early styles that changed settings may affect: all of
+ * them for the default profile or a named profile, otherwise those of the
+ * hosts a changed rule may match. Entries written since the change are already up to date.
+ * @param {string[]} changedKeys - The changed browser.storage.sync keys.
+ */
+async function invalidateEarlyStyles(changedKeys) {
+  const changeTime = Date.now();
+  const data = await browser.storage.local.get(null);
+  const staleKeys = Object.keys(data).filter((key) => {
+    if (!key.startsWith(EARLY_STYLES_KEY_PREFIX)) return false;
+    if (data[key]?.updatedAt > changeTime) return false;
+    const host = key.slice(EARLY_STYLES_KEY_PREFIX.length);
+    return changedKeys.some(
+      (changedKey) =>
+        changedKey === SiteRules.DEFAULT_PROFILE_KEY ||
+        SiteRules.isProfileKey(changedKey) ||
+        SiteRules.ruleMayMatchHost(changedKey, host)
+    );
+  });
+  if (staleKeys.length > 0) await browser.storage.local.remove(staleKeys);
+}
+
+/**
+ * Keeps the early styles cache to MAX_EARLY_STYLES_ENTRIES hosts.
+ */
+async function pruneEarlyStyles() {
+  const data = await browser.storage.local.get(null);
+  const keys = Object.keys(data).filter((key) =>
+    key.startsWith(EARLY_STYLES_KEY_PREFIX)
+  );
+  if (keys.length <= MAX_EARLY_STYLES_ENTRIES) return;
+  keys.sort((a, b) => (data[b].updatedAt || 0) - (data[a].updatedAt || 0));
+  await browser.storage.local.remove(keys.slice(MAX_EARLY_STYLES_ENTRIES));
+}
+
+/**
+ * @param {number|undefined} tabId - A tab's id.
+ * @returns {Promise<boolean>} True if the popup paused the extension in it.
+ */
+async function isTabPaused(tabId) {
+  const key = SiteRules.PAUSED_TABS_KEY;
+  const data = await browser.storage.session.get(key);
+  return Array.isArray(data[key]) && data[key].includes(tabId);
+}
+
 /**
  * Listens for messages sent from other parts of the extension.
  * This is the primary hub for direct communication between scripts.
@@ -37,6 +99,45 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Content scripts cannot open the extension's IndexedDB, so the uploaded
+  // font files are read here and sent as base64.
+  if (message.type === "GET_CUSTOM_FONT_FILES") {
+    return CustomFonts.getFontFilesForFamily(message.family).then(
+      (fontFiles) => ({
+        files: fontFiles.map(({ weight, style, data }) => ({
+          weight,
+          style,
+          data: CustomFonts.arrayBufferToBase64(data),
+        })),
+      })
+    );
+  }
+
+  // A frame asks for the settings of the page that embeds it, which it cannot
+  // read itself when the page is on another origin.
+  if (message.type === "GET_TOP_FRAME_SETTINGS") {
+    const topUrl = sender.tab?.url || null;
+    if (!topUrl) return Promise.resolve({ topUrl, settings: null });
+    return browser.storage.sync.get(null).then((data) => {
+      const { settings } = SiteRules.resolveEffectiveSettings(data, topUrl);
+      const inherits = SiteRules.frameInheritsSettings(
+        settings.frames,
+        topUrl,
+        sender.url
+      );
+      // The page's scope names one of its own elements, not the frame's.
+      return {
+        topUrl,
+        settings: inherits ? { ...settings, scopeSelector: "" } : null,
+      };
+    });
+  }
+
+  // Content scripts do not know which tab they run in.
+  if (message.type === "IS_TAB_PAUSED") {
+    return isTabPaused(sender.tab?.id).then((paused) => ({ paused }));
+  }
+
   if (message.type === "SETTINGS_IMPORTED_SUCCESSFULLY") {
     browser.runtime
       .sendMessage({ type: "RELOAD_POPUP_SETTINGS" })
@@ -57,10 +158,40 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * This is the most reliable way to detect data changes.
  */
 browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local") {
+    const earlyStylesWritten = Object.keys(changes).some(
+      (key) => key.startsWith(EARLY_STYLES_KEY_PREFIX) && changes[key].newValue
+    );
+    if (earlyStylesWritten) {
+      pruneEarlyStyles().catch((e) =>
+        console.warn("[Service Worker] Error pruning early styles:", e)
+      );
+    }
+  }
+
   if (areaName === "sync") {
+    const styleKeys = Object.keys(changes).filter(
+      (key) =>
+        key === SiteRules.DEFAULT_PROFILE_KEY ||
+        SiteRules.isProfileKey(key) ||
+        SiteRules.isRuleKey(key)
+    );
+    if (styleKeys.length > 0) {
+      invalidateEarlyStyles(styleKeys).catch((e) =>
+        console.warn("[Service Worker] Error invalidating early styles:", e)
+      );
+    }
+
     let siteDataWasAltered = false;
     for (const key in changes) {
-      if (key === "theme") {
+      if (key === "extensionLanguage") {
+        createContextMenus().catch((e) =>
+          console.warn(
+            "[Service Worker] Error translating the context menu:",
+            e
+          )
+        );
+      } else if (key === "theme") {
         if (changes[key].newValue !== changes[key].oldValue) {
           browser.runtime
             .sendMessage({
@@ -74,7 +205,7 @@ browser.storage.onChanged.addListener((changes, areaName) => {
               )
             );
         }
-      } else if (key.includes(".") && key !== "fontChangerAllSettingsBackup") {
+      } else if (SiteRules.isRuleKey(key) || SiteRules.isProfileKey(key)) {
         const change = changes[key];
         if (
           (change.newValue && typeof change.newValue === "object") ||
@@ -98,6 +229,239 @@ browser.storage.onChanged.addListener((changes, areaName) => {
   }
 });
 
+// --- Keyboard Shortcuts ---
+
+// The font size steps of the shortcuts, as in the popup's stepper.
+const FONT_SIZE_SHORTCUT_STEPS = {
+  px: { min: 8, max: 72, step: 1, base: 16, field: "fontSize" },
+  scale: { min: 50, max: 300, step: 5, base: 100, field: "fontScale" },
+};
+
+/**
+ * Returns the fields a font size shortcut changes.
+ * @param {object} settings - The effective settings of the tab.
+ * @param {number} direction - 1 to increase, -1 to decrease.
+ * @returns {object}
+ */
+function getSteppedFontSize(settings, direction) {
+  const config =
+    FONT_SIZE_SHORTCUT_STEPS[
+      settings.fontSizeMode === "scale" ? "scale" : "px"
+    ];
+  const currentValue = parseFloat(settings[config.field]) || config.base;
+  const nextValue = Math.min(
+    config.max,
+    Math.max(config.min, currentValue + direction * config.step)
+  );
+  return { [config.field]: String(Math.round(nextValue)) };
+}
+
+/**
+ * Returns the profile a cycle shortcut moves to: the next named profile by
+ * name, then none, then the first again.
+ * @param {object} ownSettings - The rule's own settings.
+ * @param {object} data - The full contents of browser.storage.sync.
+ * @returns {object}
+ */
+function getNextProfile(ownSettings, data) {
+  const profileIds = SiteRules.getProfiles(data).map(({ id }) => id);
+  return {
+    profile: profileIds[profileIds.indexOf(ownSettings.profile) + 1] || "",
+  };
+}
+
+// Each shortcut returns the fields to change in the active rule, from its own
+// settings, the effective ones and all stored data.
+const COMMAND_HANDLERS = {
+  "toggle-direction": (ownSettings, settings) => ({
+    direction: settings.direction === "rtl" ? "ltr" : "rtl",
+  }),
+  "toggle-site-overrides": (ownSettings) => ({ paused: !ownSettings.paused }),
+  "increase-font-size": (ownSettings, settings) =>
+    getSteppedFontSize(settings, 1),
+  "decrease-font-size": (ownSettings, settings) =>
+    getSteppedFontSize(settings, -1),
+  "cycle-profile": (ownSettings, settings, data) =>
+    getNextProfile(ownSettings, data),
+};
+
+/**
+ * Changes the rule that applies to a tab, or creates one for its hostname,
+ * the way the popup saves it. The tab's content scripts follow through
+ * browser.storage.onChanged.
+ * @param {object} tab - The tab whose rule changes.
+ * @param {function(object, object, object): object} getChangedFields - Returns
+ *   the fields to change from the rule's own settings, the effective ones and
+ *   all stored data.
+ */
+async function updateRuleForTab(tab, getChangedFields) {
+  if (!tab?.url || !/^(https?|file):/.test(tab.url)) return;
+  const data = await browser.storage.sync.get(null);
+  const rule = SiteRules.resolveRule(data, tab.url);
+  const ruleKey = rule ? rule.key : new URL(tab.url).hostname;
+  if (!ruleKey) return;
+  const ownSettings = data[ruleKey] || {};
+  const { settings } = SiteRules.resolveEffectiveSettings(data, tab.url);
+  await browser.storage.sync.set({
+    [ruleKey]: {
+      ...ownSettings,
+      ...getChangedFields(ownSettings, settings, data),
+      host: ruleKey,
+    },
+  });
+}
+
+browser.commands.onCommand.addListener(async (command, tab) => {
+  const getChangedFields = COMMAND_HANDLERS[command];
+  if (!getChangedFields) return;
+  try {
+    // Older browsers do not pass the tab.
+    const [activeTab] = tab
+      ? [tab]
+      : await browser.tabs.query({ active: true, currentWindow: true });
+    await updateRuleForTab(activeTab, getChangedFields);
+  } catch (error) {
+    console.error(
+      `[Service Worker] Error running the "${command}" shortcut:`,
+      error
+    );
+  }
+});
+
+// --- Context Menu ---
+
+// Element entries hand the right-clicked element to the content script of its
+// frame, which saves it in the selector list `field` of its rule. Titles are
+// keys of the locales_js translations.
+const CONTEXT_MENU_ITEMS = [
+  { id: "block-rtl", titleKey: "contextMenuBlockRtl", field: "rtlSelectors" },
+  { id: "block-ltr", titleKey: "contextMenuBlockLtr", field: "ltrSelectors" },
+  {
+    id: "exclude-element",
+    titleKey: "contextMenuExcludeElement",
+    field: "excludeSelectors",
+  },
+  { id: "page-separator", type: "separator" },
+  { id: "reset-site", titleKey: "contextMenuResetSite" },
+];
+const CONTEXT_MENU_CONTEXTS = [
+  "page",
+  "frame",
+  "selection",
+  "link",
+  "editable",
+  "image",
+  "video",
+  "audio",
+];
+const CONTEXT_MENU_URL_PATTERNS = ["http://*/*", "https://*/*", "file:///*"];
+
+const DEFAULT_MENU_LANGUAGE = "en";
+const translationsByLanguage = {};
+// Chrome's service worker can only import scripts while it starts, so it reads
+// every language up front; Firefox's background page loads them on demand.
+if (typeof importScripts === "function") {
+  ["en", "fa", "ar"].forEach((langCode) => {
+    importScripts(`locales_js/${langCode}.js`);
+    translationsByLanguage[langCode] = globalThis.currentTranslations;
+  });
+}
+
+/**
+ * Returns the translations of a language, or of the default language if it
+ * cannot be loaded.
+ * @param {string} langCode - The two-letter code of the language.
+ * @returns {Promise<object>}
+ */
+async function getTranslations(langCode) {
+  if (!translationsByLanguage[langCode] && typeof document !== "undefined") {
+    try {
+      await new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = browser.runtime.getURL(`locales_js/${langCode}.js`);
+        script.onload = () => {
+          script.remove();
+          resolve();
+        };
+        script.onerror = () => {
+          script.remove();
+          reject(new Error(`Error loading language file: ${script.src}`));
+        };
+        document.head.appendChild(script);
+      });
+      translationsByLanguage[langCode] = globalThis.currentTranslations;
+    } catch (error) {
+      console.warn("[Service Worker]", error.message);
+    }
+  }
+  return (
+    translationsByLanguage[langCode] ||
+    (langCode === DEFAULT_MENU_LANGUAGE
+      ? {}
+      : getTranslations(DEFAULT_MENU_LANGUAGE))
+  );
+}
+
+/**
+ * Creates the context menu entries in the extension's language, replacing
+ * any created before.
+ */
+async function createContextMenus() {
+  const { extensionLanguage } = await browser.storage.sync.get(
+    "extensionLanguage"
+  );
+  const translations = await getTranslations(
+    extensionLanguage || DEFAULT_MENU_LANGUAGE
+  );
+  await browser.contextMenus.removeAll();
+  CONTEXT_MENU_ITEMS.forEach(({ id, titleKey, type = "normal" }) =>
+    browser.contextMenus.create({
+      id,
+      title: titleKey ? translations[titleKey] || titleKey : undefined,
+      type,
+      contexts: CONTEXT_MENU_CONTEXTS,
+      documentUrlPatterns: CONTEXT_MENU_URL_PATTERNS,
+    })
+  );
+}
+
+// Menu entries outlive the service worker, so they are created once and again
+// when the language changes (see the storage.onChanged listener).
+browser.runtime.onInstalled.addListener(() =>
+  createContextMenus().catch((error) =>
+    console.error("[Service Worker] Error creating the context menu:", error)
+  )
+);
+
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(({ id }) => id === info.menuItemId);
+  if (!item || !tab) return;
+  try {
+    if (item.field) {
+      await browser.tabs.sendMessage(
+        tab.id,
+        { action: "saveContextMenuElement", field: item.field },
+        { frameId: info.frameId || 0 }
+      );
+    } else {
+      // Like the popup's reset button: the rule keeps its selectors and region
+      // but no longer uses a profile or stays paused.
+      await updateRuleForTab(tab, () => ({
+        ...Object.fromEntries(
+          SiteRules.STYLE_FIELDS.map((field) => [field, ""])
+        ),
+        profile: "",
+        paused: false,
+      }));
+    }
+  } catch (error) {
+    console.error(
+      `[Service Worker] Error running the "${item.id}" menu entry:`,
+      error
+    );
+  }
+});
+
 /**
  * [ADDED] Ensures styles are applied when a tab finishes loading.
  * This is a robust fallback mechanism to fix the initial load problem.
@@ -109,25 +473,49 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     (tab.url.startsWith("http") || tab.url.startsWith("file"))
   ) {
     try {
-      const hostname = new URL(tab.url).hostname;
-      const data = await browser.storage.sync.get(hostname);
-      const settings = data[hostname];
+      const data = await browser.storage.sync.get(null);
+      const { settings } = SiteRules.resolveEffectiveSettings(data, tab.url);
 
-      if (settings) {
+      if (
+        !settings.paused &&
+        SiteRules.changesPage(settings) &&
+        !(await isTabPaused(tabId))
+      ) {
         // Send a message to the content script in the updated tab to apply styles.
         // We wrap this in a try-catch because the content script might not be ready
         // on certain pages (e.g., browser's internal pages), which would throw an error.
+        // Embedded frames resolve their own settings.
         try {
-          await browser.tabs.sendMessage(tabId, {
-            action: "applyStyles",
-            font: settings.font,
-            direction: settings.direction,
-            fontSize: settings.fontSize,
-            lineHeight: settings.lineHeight,
-            fontWeight: settings.fontWeight,
-            letterSpacing: settings.letterSpacing,
-            wordSpacing: settings.wordSpacing,
-          });
+          await browser.tabs.sendMessage(
+            tabId,
+            {
+              action: "applyStyles",
+              font: settings.font,
+              direction: settings.direction,
+              fontSize: settings.fontSize,
+              fontSizeMode: settings.fontSizeMode,
+              fontScale: settings.fontScale,
+              minFontSize: settings.minFontSize,
+              lineHeight: settings.lineHeight,
+              fontWeight: settings.fontWeight,
+              letterSpacing: settings.letterSpacing,
+              wordSpacing: settings.wordSpacing,
+              latinFont: settings.latinFont,
+              digits: settings.digits,
+              normalizePersian: settings.normalizePersian,
+              inputDirection: settings.inputDirection,
+              headingFont: settings.headingFont,
+              headingFontWeight: settings.headingFontWeight,
+              formFont: settings.formFont,
+              monoFont: settings.monoFont,
+              excludeSelectors: settings.excludeSelectors,
+              includeSelectors: settings.includeSelectors,
+              rtlSelectors: settings.rtlSelectors,
+              ltrSelectors: settings.ltrSelectors,
+              scopeSelector: settings.scopeSelector,
+            },
+            { frameId: 0 }
+          );
         } catch (error) {
           // This error is often expected on pages where content scripts can't run.
           if (!error.message.includes("Could not establish connection")) {
@@ -145,3 +533,19 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     }
   }
 });
+
+// A tab's pause ends with the tab.
+browser.tabs.onRemoved.addListener(async (tabId) => {
+  try {
+    const key = SiteRules.PAUSED_TABS_KEY;
+    const data = await browser.storage.session.get(key);
+    const pausedTabs = data[key] || [];
+    if (pausedTabs.includes(tabId)) {
+      await browser.storage.session.set({
+        [key]: pausedTabs.filter((pausedTabId) => pausedTabId !== tabId),
+      });
+    }
+  } catch (error) {
+    console.warn("[Service Worker] Error ending a closed tab's pause:", error);
+  }
+});
@@ -9,18 +9,37 @@
 
 const storageArea = browser.storage.sync;
 const EXPORT_FILE_NAME = "font_changer_settings_backup.json";
-const ALL_SETTINGS_KEY = "fontChangerAllSettingsBackup";
 const DEFAULT_UI_FONT = "Vazirmatn";
 
 // DOM element references, initialized in DOMContentLoaded.
 let themeSelector, exportButton, importButton, importFileInput;
 let siteSearchInput, clearSearchButton, sitesListContainer;
 let resetAllSettingsButton, importStatusMessageElement;
+let addRuleForm, newRulePatternInput, ruleStatusMessageElement;
+let defaultDirectionSelector, restoreDefaultSelectorsButton;
+let profileStatusMessageElement;
+let customFontForm, customFontFileInput, customFontFamilyInput;
+let customFontStatusMessageElement, customFontsListContainer;
+let shortcutsListContainer, shortcutStatusMessageElement;
 let scrollUpBtn, scrollDownBtn;
 
 // State variables.
 let currentOpenDetailsHost = null;
-let statusMessageTimeoutId = null;
+// The named profiles (see SiteRules.getProfiles), and the storage key of the
+// profile the profile card edits.
+let namedProfiles = [];
+let editedProfileKey = SiteRules.DEFAULT_PROFILE_KEY;
+// The fonts of fonts/catalog.json.
+let fontCatalog = [];
+// Families uploaded in this card, registered in this page for the previews.
+let customFontFamilies = [];
+// The weight and style the next uploaded file is stored with.
+let customFontUploadWeight = "400";
+let customFontUploadStyle = "normal";
+// The latest callback of every custom select, so a select can be rebuilt.
+const customSelectCallbacks = new Map();
+// Pending hide timers of the status messages, keyed by their element.
+const statusMessageTimeouts = new Map();
 
 // --- DOM Initialization & Event Listeners ---
 document.addEventListener("DOMContentLoaded", async () => {
@@ -34,6 +53,27 @@ document.addEventListener("DOMContentLoaded", async () => {
   sitesListContainer = document.getElementById("sitesList");
   resetAllSettingsButton = document.getElementById("resetAllSettingsButton");
   importStatusMessageElement = document.getElementById("importStatusMessage");
+  addRuleForm = document.getElementById("addRuleForm");
+  newRulePatternInput = document.getElementById("newRulePatternInput");
+  ruleStatusMessageElement = document.getElementById("ruleStatusMessage");
+  defaultDirectionSelector = document.getElementById(
+    "defaultDirectionSelector"
+  );
+  restoreDefaultSelectorsButton = document.getElementById(
+    "restoreDefaultSelectorsButton"
+  );
+  profileStatusMessageElement = document.getElementById("profileStatusMessage");
+  customFontForm = document.getElementById("customFontForm");
+  customFontFileInput = document.getElementById("customFontFileInput");
+  customFontFamilyInput = document.getElementById("customFontFamilyInput");
+  customFontStatusMessageElement = document.getElementById(
+    "customFontStatusMessage"
+  );
+  customFontsListContainer = document.getElementById("customFontsList");
+  shortcutsListContainer = document.getElementById("shortcutsList");
+  shortcutStatusMessageElement = document.getElementById(
+    "shortcutStatusMessage"
+  );
   scrollUpBtn = document.getElementById("scrollUpBtn");
   scrollDownBtn = document.getElementById("scrollDownBtn");
 
@@ -45,18 +85,26 @@ document.addEventListener("DOMContentLoaded", async () => {
     storageArea.set({ extensionLanguage: value }).then(() => location.reload());
   });
 
-  const globalSettings = await storageArea.get(["uiFont", "theme"]);
-  const initialUiFont = globalSettings.uiFont || DEFAULT_UI_FONT;
+  const globalSettings = await storageArea.get([
+    "uiFont",
+    "theme",
+    SiteRules.DEFAULT_PROFILE_KEY,
+  ]);
 
-  setupCustomSelect(
-    "customUiFontSelect",
-    initialUiFont,
-    (value) => {
-      storageArea.set({ uiFont: value });
-      applyUiFontToSettingsPage(value);
-    },
-    getFontListAsOptions()
-  );
+  try {
+    fontCatalog = await FontCatalog.loadCatalog();
+  } catch (e) {
+    console.error("Error loading the font catalog:", e);
+  }
+  try {
+    customFontFamilies = await CustomFonts.registerFontFaces();
+  } catch (e) {
+    console.error("Error loading custom fonts:", e);
+  }
+  setupFontSelects(globalSettings);
+  await refreshNamedProfiles();
+  setupCustomFontsCard();
+  await renderShortcutsList();
 
   // Load remaining settings and add listeners
   await loadInitialGlobalSettings(globalSettings);
@@ -66,6 +114,31 @@ document.addEventListener("DOMContentLoaded", async () => {
 
 function addSettingsEventListeners() {
   themeSelector?.addEventListener("click", handleThemeChange);
+  defaultDirectionSelector?.addEventListener(
+    "click",
+    handleProfileDirectionChange
+  );
+  document.querySelectorAll(".profile-input").forEach((input) => {
+    input.addEventListener("change", handleProfileInputChange);
+  });
+  ["defaultExcludeSelectorsInput", "defaultIncludeSelectorsInput"].forEach(
+    (id) =>
+      document
+        .getElementById(id)
+        ?.addEventListener("change", handleDefaultSelectorListChange)
+  );
+  restoreDefaultSelectorsButton?.addEventListener("click", () =>
+    saveProfileField("excludeSelectors", "")
+  );
+  document
+    .getElementById("newProfileButton")
+    ?.addEventListener("click", handleNewProfile);
+  document
+    .getElementById("renameProfileButton")
+    ?.addEventListener("click", handleRenameProfile);
+  document
+    .getElementById("deleteProfileButton")
+    ?.addEventListener("click", handleDeleteProfile);
   siteSearchInput?.addEventListener("input", filterSites);
   clearSearchButton?.addEventListener("click", () => {
     if (siteSearchInput) {
@@ -74,6 +147,11 @@ function addSettingsEventListeners() {
       siteSearchInput.focus();
     }
   });
+  addRuleForm?.addEventListener("submit", handleAddRule);
+  document
+    .getElementById("changeShortcutsButton")
+    ?.addEventListener("click", openBrowserShortcutsPage);
+  customFontForm?.addEventListener("submit", handleCustomFontUpload);
   exportButton?.addEventListener("click", handleExportSettings);
   if (importButton && importFileInput) {
     importButton.addEventListener("click", () => importFileInput.click());
@@ -102,6 +180,10 @@ function addSettingsEventListeners() {
 }
 
 // --- Generic Custom Select Logic (Updated) ---
+/**
+ * Builds a custom select. Calling it again for the same select replaces its
+ * options and callback without adding listeners twice.
+ */
 function setupCustomSelect(
   elementId,
   initialValue,
@@ -127,23 +209,36 @@ function setupCustomSelect(
     });
   }
 
+  const isFirstSetup = !customSelectCallbacks.has(elementId);
+  customSelectCallbacks.set(elementId, onSelectCallback);
+
   const options = itemsContainer.querySelectorAll("div[data-value]");
   const initialOption = [...options].find(
     (opt) => opt.dataset.value === initialValue
   );
 
-  if (initialOption) {
-    selected.innerHTML = initialOption.innerHTML;
-    if (initialOption.style.fontFamily) {
+  // Only the UI font select previews its font page-wide; the others style
+  // their own selected box.
+  const applySelectedFont = (fontFamily) => {
+    if (!fontFamily) return;
+    if (elementId === "customUiFontSelect") {
       document.documentElement.style.setProperty(
         "--selected-ui-font",
-        initialOption.style.fontFamily
+        fontFamily
       );
+    } else {
+      selected.style.fontFamily = fontFamily;
     }
+  };
+
+  if (initialOption) {
+    selected.innerHTML = initialOption.innerHTML;
+    applySelectedFont(initialOption.style.fontFamily);
   } else if (options.length > 0) {
     // Fallback to the first option if initialValue is invalid
     selected.innerHTML = options[0].innerHTML;
   }
+  if (!isFirstSetup) return;
 
   const closeDropdown = () => {
     customSelect.classList.remove("select-active");
@@ -173,32 +268,583 @@ function setupCustomSelect(
     }
   });
 
-  options.forEach((option) => {
-    option.addEventListener("click", function () {
-      const value = this.dataset.value;
-      selected.innerHTML = this.innerHTML;
-      if (this.style.fontFamily) {
-        document.documentElement.style.setProperty(
-          "--selected-ui-font",
-          this.style.fontFamily
+  itemsContainer.addEventListener("click", (e) => {
+    const option = e.target.closest("div[data-value]");
+    if (!option) return;
+    selected.innerHTML = option.innerHTML;
+    applySelectedFont(option.style.fontFamily);
+    closeDropdown();
+    customSelectCallbacks.get(elementId)(option.dataset.value);
+  });
+
+  document.addEventListener("click", closeDropdown);
+}
+
+function getFontListAsOptions(script = null) {
+  if (!window.currentTranslations) return [];
+  // With a script, only the fonts supporting it are listed and the empty option
+  // means "use the page font for this script too". Uploaded fonts have no known
+  // script and are always listed.
+  return [
+    {
+      value: "",
+      label: script
+        ? getLocalizedText("sameAsPageFontOption", "Same as page font")
+        : getLocalizedText("defaultOption", "Default"),
+      style: "var(--ui-font)",
+    },
+    ...FontCatalog.filterFonts(fontCatalog, { script: script || "" }).map(
+      (font) => ({
+        value: font.family,
+        label: FontCatalog.getDisplayName(font, window.currentLanguageCode),
+        style: `'${font.family}'`,
+      })
+    ),
+    ...customFontFamilies.map((family) => ({
+      value: family,
+      label: family,
+      style: `'${family}'`,
+    })),
+  ];
+}
+
+/**
+ * Builds every select that lists fonts: the UI font and the profile card's.
+ * Called again after a custom font is added or removed.
+ * @param {object} globalSettings - The stored uiFont and edited profile.
+ */
+function setupFontSelects(globalSettings) {
+  setupCustomSelect(
+    "customUiFontSelect",
+    globalSettings.uiFont || DEFAULT_UI_FONT,
+    (value) => {
+      storageArea.set({ uiFont: value });
+      applyUiFontToSettingsPage(value);
+    },
+    getFontListAsOptions()
+  );
+  setupProfileCard(globalSettings[editedProfileKey] || {});
+}
+
+/**
+ * @param {string} [fontName] - Limits the weights to those the catalog lists
+ *   for this font; other fonts get every hundred.
+ * @returns {{value: string, label: string}[]}
+ */
+function getFontWeightOptions(fontName = "") {
+  const font = FontCatalog.findFont(fontCatalog, fontName);
+  const weights = font
+    ? FontCatalog.getWeights(font).map(String)
+    : ["100", "200", "300", "400", "500", "600", "700", "800", "900"];
+  return [
+    { value: "", label: getLocalizedText("defaultOption", "Default") },
+    ...weights.map((weight) => ({
+      value: weight,
+      label: getLocalizedFontWeightLabel(weight),
+    })),
+  ];
+}
+
+/**
+ * Shows an option of an already built custom select without firing its callback.
+ * @param {string} elementId - The ID of the custom select.
+ * @param {string} value - The option value to show.
+ */
+function setCustomSelectValue(elementId, value) {
+  const customSelect = document.getElementById(elementId);
+  const option = customSelect?.querySelector(
+    `.select-items div[data-value="${CSS.escape(value)}"]`
+  );
+  if (!option) return;
+  const selected = customSelect.querySelector(".select-selected");
+  selected.innerHTML = option.innerHTML;
+  selected.style.fontFamily = option.style.fontFamily;
+}
+
+// --- Custom Fonts Logic ---
+function setupCustomFontsCard() {
+  setupCustomSelect(
+    "customFontWeightSelect",
+    customFontUploadWeight,
+    (value) => (customFontUploadWeight = value),
+    [
+      ...getFontWeightOptions().filter((option) => option.value),
+      {
+        value: "100 900",
+        label: getLocalizedText("variableWeightOption", "Variable (100–900)"),
+      },
+    ]
+  );
+  setupCustomSelect(
+    "customFontStyleSelect",
+    customFontUploadStyle,
+    (value) => (customFontUploadStyle = value),
+    [
+      {
+        value: "normal",
+        label: getLocalizedText("fontStyleNormal", "Normal"),
+      },
+      {
+        value: "italic",
+        label: getLocalizedText("fontStyleItalic", "Italic"),
+      },
+    ]
+  );
+  renderCustomFontsList();
+}
+
+/**
+ * Lists the uploaded families with their files.
+ */
+async function renderCustomFontsList() {
+  if (!customFontsListContainer) return;
+  let fontFiles = [];
+  try {
+    fontFiles = await CustomFonts.getAllFontFiles();
+  } catch (e) {
+    console.error("Error reading custom fonts:", e);
+  }
+  customFontsListContainer.innerHTML = "";
+  if (fontFiles.length === 0) {
+    const emptyMessage = document.createElement("p");
+    emptyMessage.textContent = getLocalizedText(
+      "noCustomFontsMessage",
+      "No fonts uploaded yet."
+    );
+    customFontsListContainer.appendChild(emptyMessage);
+    return;
+  }
+  const frag = document.createDocumentFragment();
+  CustomFonts.getFamilyNames(fontFiles).forEach((family) => {
+    const item = document.createElement("div");
+    item.className = "custom-font-item";
+    const name = document.createElement("div");
+    name.className = "custom-font-name";
+    name.dir = "ltr";
+    name.style.fontFamily = `'${family}', var(--ui-font)`;
+    name.textContent = family;
+    item.appendChild(name);
+    fontFiles
+      .filter((file) => file.family === family)
+      .forEach((file) => {
+        const row = document.createElement("div");
+        row.className = "custom-font-file";
+        const label = document.createElement("span");
+        label.dir = "ltr";
+        label.textContent = `${file.fileName} · ${file.weight} · ${file.style}`;
+        const deleteButton = document.createElement("button");
+        deleteButton.type = "button";
+        deleteButton.className = "delete-font-file-btn";
+        deleteButton.textContent = "×";
+        deleteButton.title = getLocalizedText(
+          "deleteFontFileTitle",
+          "Delete this file"
         );
-      }
-      closeDropdown();
-      onSelectCallback(value);
+        deleteButton.addEventListener("click", () =>
+          handleDeleteCustomFontFile(file.id)
+        );
+        row.append(label, deleteButton);
+        item.appendChild(row);
+      });
+    frag.appendChild(item);
+  });
+  customFontsListContainer.appendChild(frag);
+}
+
+/**
+ * Re-registers the uploaded fonts and rebuilds everything that lists them.
+ */
+async function refreshCustomFonts() {
+  customFontFamilies = await CustomFonts.registerFontFaces();
+  setupFontSelects(await storageArea.get(["uiFont", editedProfileKey]));
+  await renderCustomFontsList();
+}
+
+/**
+ * Checks and stores the chosen font file under the entered family name.
+ * @param {Event} event - The form's submit event.
+ */
+async function handleCustomFontUpload(event) {
+  event.preventDefault();
+  const file = customFontFileInput.files[0];
+  const family = customFontFamilyInput.value.trim();
+  const showError = (key) =>
+    displayStatusMessage(
+      key,
+      "error",
+      5000,
+      null,
+      customFontStatusMessageElement
+    );
+
+  if (!file) return showError("customFontInvalidTypeMessage");
+  const fileProblem = CustomFonts.validateFontFile(file);
+  if (fileProblem) return showError(fileProblem);
+  // The name ends up in CSS strings and option markup, so it is kept plain.
+  if (!/^[\p{L}\p{N} _-]+$/u.test(family))
+    return showError("customFontNameInvalidMessage");
+  // Uploaded fonts must not shadow a font the extension already offers.
+  const isTaken = fontCatalog.some(
+    (font) => font.family.toLowerCase() === family.toLowerCase()
+  );
+  if (isTaken) return showError("customFontNameTakenMessage");
+
+  try {
+    const data = await file.arrayBuffer();
+    // Parsing the file once catches corrupt or mislabeled fonts.
+    await new FontFace(family, data).load();
+    await CustomFonts.addFontFile({
+      family,
+      weight: customFontUploadWeight,
+      style: customFontUploadStyle,
+      fileName: file.name,
+      data,
     });
+  } catch (e) {
+    console.error("Error adding custom font:", e);
+    return showError("customFontInvalidFileMessage");
+  }
+
+  customFontForm.reset();
+  displayStatusMessage(
+    "customFontAddedMessage",
+    "success",
+    3000,
+    { family },
+    customFontStatusMessageElement
+  );
+  await refreshCustomFonts();
+}
+
+async function handleDeleteCustomFontFile(id) {
+  try {
+    await CustomFonts.deleteFontFile(id);
+    await refreshCustomFonts();
+  } catch (e) {
+    console.error("Error deleting custom font:", e);
+  }
+}
+
+// --- Profile Logic ---
+/**
+ * Builds the profile card, which edits the default profile or a named one.
+ * Every site inherits the default profile's values for the fields its own
+ * rule leaves empty, and the sites that use a named profile its values first.
+ * @param {object} profile - The stored profile being edited.
+ */
+function setupProfileCard(profile) {
+  setupCustomSelect(
+    "customDefaultFontSelect",
+    profile.font || "",
+    (value) => saveProfileField("font", value),
+    getFontListAsOptions()
+  );
+  setupCustomSelect(
+    "customDefaultLatinFontSelect",
+    profile.latinFont || "",
+    (value) => saveProfileField("latinFont", value),
+    getFontListAsOptions("latin")
+  );
+  setupCustomSelect(
+    "customDefaultDigitsSelect",
+    profile.digits || "",
+    (value) => saveProfileField("digits", value),
+    getDigitsOptions()
+  );
+  setupCustomSelect(
+    "customDefaultNormalizePersianSelect",
+    profile.normalizePersian || "",
+    (value) => saveProfileField("normalizePersian", value),
+    getNormalizePersianOptions()
+  );
+  setupCustomSelect(
+    "customDefaultInputDirectionSelect",
+    profile.inputDirection || "",
+    (value) => saveProfileField("inputDirection", value),
+    getInputDirectionOptions()
+  );
+  renderProfileCard(profile);
+}
+
+/**
+ * Shows the stored profile in the card's controls.
+ * @param {object} profile - The stored profile being edited.
+ */
+function renderProfileCard(profile) {
+  setCustomSelectValue("customDefaultFontSelect", profile.font || "");
+  setCustomSelectValue("customDefaultLatinFontSelect", profile.latinFont || "");
+  setCustomSelectValue("customDefaultDigitsSelect", profile.digits || "");
+  setCustomSelectValue(
+    "customDefaultNormalizePersianSelect",
+    profile.normalizePersian || ""
+  );
+  setCustomSelectValue(
+    "customDefaultInputDirectionSelect",
+    profile.inputDirection || ""
+  );
+  // The weights offered follow the default font.
+  setupCustomSelect(
+    "customDefaultFontWeightSelect",
+    String(profile.fontWeight || ""),
+    (value) => saveProfileField("fontWeight", value),
+    getFontWeightOptions(profile.font)
+  );
+  document.querySelectorAll(".profile-input").forEach((input) => {
+    const value = profile[input.dataset.field];
+    input.value = SiteRules.isFieldSet(value) ? value : "";
   });
+  updateSegmentedIndicator(defaultDirectionSelector, profile.direction || "");
 
-  document.addEventListener("click", closeDropdown);
+  const excludeInput = document.getElementById("defaultExcludeSelectorsInput");
+  if (excludeInput) {
+    // Without a stored list the built-in exclusions apply.
+    excludeInput.value = (
+      Array.isArray(profile.excludeSelectors)
+        ? profile.excludeSelectors
+        : SiteRules.DEFAULT_EXCLUDE_SELECTORS
+    ).join("\n");
+  }
+  const includeInput = document.getElementById("defaultIncludeSelectorsInput");
+  if (includeInput) {
+    includeInput.value = SiteRules.toSelectorList(
+      profile.includeSelectors
+    ).join("\n");
+  }
 }
 
-function getFontListAsOptions() {
-  if (!window.FONT_LIST || !window.currentTranslations) return [];
-  // Use map directly on FONT_LIST
-  return window.FONT_LIST.map((font) => ({
-    value: font.value,
-    label: window.currentTranslations[font.labelKey] || font.value || "Default",
-    style: font.value ? `'${font.value}'` : "var(--ui-font)",
-  }));
+/**
+ * Stores one field of the profile being edited. An empty value removes the
+ * field. The sites that use the profile follow through storage.onChanged.
+ * @param {string} field - One of SiteRules.STYLE_FIELDS.
+ * @param {string|number} value - The new value.
+ */
+async function saveProfileField(field, value) {
+  const profileKey = editedProfileKey;
+  try {
+    const data = await storageArea.get(profileKey);
+    const profile = { ...(data[profileKey] || {}) };
+    if (SiteRules.isFieldSet(value)) {
+      profile[field] = value;
+    } else {
+      delete profile[field];
+    }
+    await storageArea.set({ [profileKey]: profile });
+  } catch (e) {
+    console.error("Error saving profile:", e);
+  }
+}
+
+/**
+ * Reads the named profiles again and updates the card's profile picker. The
+ * card returns to the default profile if the edited one was deleted.
+ */
+async function refreshNamedProfiles() {
+  namedProfiles = SiteRules.getProfiles(await storageArea.get(null));
+  const editedProfileExists =
+    editedProfileKey === SiteRules.DEFAULT_PROFILE_KEY ||
+    namedProfiles.some(
+      ({ id }) => SiteRules.getProfileKey(id) === editedProfileKey
+    );
+  if (editedProfileExists) renderProfilePicker();
+  else await selectEditedProfile(SiteRules.DEFAULT_PROFILE_KEY);
+}
+
+/**
+ * Fills the card's profile picker. Only named profiles can be renamed or
+ * deleted, and only the default profile holds selector lists.
+ */
+function renderProfilePicker() {
+  setupCustomSelect(
+    "customEditedProfileSelect",
+    editedProfileKey,
+    selectEditedProfile,
+    [
+      {
+        value: SiteRules.DEFAULT_PROFILE_KEY,
+        label: getLocalizedText("defaultProfileLabel", "Default Profile"),
+      },
+      ...namedProfiles.map(({ id, name }) => ({
+        value: SiteRules.getProfileKey(id),
+        label: escapeHtml(name),
+      })),
+    ]
+  );
+  const isDefaultProfile = editedProfileKey === SiteRules.DEFAULT_PROFILE_KEY;
+  ["renameProfileButton", "deleteProfileButton"].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.style.display = isDefaultProfile ? "none" : "";
+  });
+  document.querySelectorAll(".default-profile-only").forEach((element) => {
+    element.style.display = isDefaultProfile ? "" : "none";
+  });
+  const description = document.getElementById("profileDescription");
+  if (description) {
+    description.textContent = isDefaultProfile
+      ? getLocalizedText(
+          "defaultProfileDescription",
+          "Every site uses these values unless its own settings override them."
+        )
+      : getLocalizedText(
+          "namedProfileDescription",
+          "Sites that use this profile take these values; empty fields come from the default profile."
+        );
+  }
+}
+
+/**
+ * Points the card at another profile.
+ * @param {string} profileKey - The profile's storage key.
+ */
+async function selectEditedProfile(profileKey) {
+  editedProfileKey = profileKey;
+  renderProfilePicker();
+  const data = await storageArea.get(profileKey);
+  renderProfileCard(data[profileKey] || {});
+}
+
+/**
+ * Asks for a profile name that no other profile uses.
+ * @param {string} promptKey - The translation key of the question.
+ * @param {string} [currentName] - The name to start from.
+ * @returns {string|null} The name, or null if none was given.
+ */
+function promptForProfileName(promptKey, currentName = "") {
+  const name = prompt(getLocalizedText(promptKey, "Profile name:"), currentName)
+    ?.trim()
+    .slice(0, 64);
+  if (!name || name === currentName) return null;
+  if (namedProfiles.some((profile) => profile.name === name)) {
+    displayStatusMessage(
+      "profileNameTakenMessage",
+      "error",
+      5000,
+      { NAME: name },
+      profileStatusMessageElement
+    );
+    return null;
+  }
+  return name;
+}
+
+async function handleNewProfile() {
+  const name = promptForProfileName("newProfilePrompt");
+  if (!name) return;
+  const profileKey = SiteRules.getProfileKey(Date.now().toString(36));
+  try {
+    await storageArea.set({ [profileKey]: { name } });
+    await refreshNamedProfiles();
+    await selectEditedProfile(profileKey);
+  } catch (e) {
+    console.error("Error creating profile:", e);
+  }
+}
+
+async function handleRenameProfile() {
+  const profileKey = editedProfileKey;
+  const data = await storageArea.get(profileKey);
+  if (!data[profileKey]) return;
+  const name = promptForProfileName(
+    "renameProfilePrompt",
+    data[profileKey].name
+  );
+  if (!name) return;
+  try {
+    await storageArea.set({ [profileKey]: { ...data[profileKey], name } });
+  } catch (e) {
+    console.error("Error renaming profile:", e);
+  }
+}
+
+/**
+ * Deletes the edited profile. The sites that used it keep their own values
+ * and inherit from the default profile again.
+ */
+async function handleDeleteProfile() {
+  const profileKey = editedProfileKey;
+  const data = await storageArea.get(null);
+  const profile = data[profileKey];
+  if (!profile) return;
+  if (
+    !confirm(
+      getLocalizedText(
+        "confirmDeleteProfileMessage",
+        'Delete the profile "$NAME$"?'
+      ).replace("$NAME$", profile.name)
+    )
+  )
+    return;
+  const profileId = profileKey.slice(SiteRules.PROFILE_KEY_PREFIX.length);
+  const updatedRules = {};
+  Object.entries(data).forEach(([key, settings]) => {
+    if (SiteRules.isRuleKey(key) && settings?.profile === profileId) {
+      updatedRules[key] = { ...settings };
+      delete updatedRules[key].profile;
+    }
+  });
+  try {
+    await storageArea.set(updatedRules);
+    await storageArea.remove(profileKey);
+    await selectEditedProfile(SiteRules.DEFAULT_PROFILE_KEY);
+  } catch (e) {
+    console.error("Error deleting profile:", e);
+  }
+}
+
+function handleProfileInputChange(event) {
+  const input = event.target;
+  let value = parseFloat(input.value);
+  if (isNaN(value)) {
+    input.value = "";
+    saveProfileField(input.dataset.field, "");
+    return;
+  }
+  value = Math.max(Number(input.min), Math.min(Number(input.max), value));
+  input.value = value;
+  saveProfileField(input.dataset.field, value);
+}
+
+/**
+ * Reads a textarea that holds one CSS selector per line.
+ * @param {HTMLTextAreaElement} textarea - The selector list input.
+ * @returns {{selectors: string[], invalidSelector: string|null}}
+ */
+function parseSelectorListInput(textarea) {
+  const selectors = SiteRules.toSelectorList(textarea.value);
+  const invalidSelector =
+    selectors.find((selector) => !SiteRules.isValidSelector(selector)) || null;
+  return { selectors, invalidSelector };
+}
+
+async function handleDefaultSelectorListChange(event) {
+  const textarea = event.target;
+  const { selectors, invalidSelector } = parseSelectorListInput(textarea);
+  if (invalidSelector) {
+    displayStatusMessage(
+      "invalidSelectorMessage",
+      "error",
+      7000,
+      { SELECTOR: invalidSelector },
+      profileStatusMessageElement
+    );
+    return;
+  }
+  // An emptied list is stored as [] so that it also removes the built-in exclusions.
+  await saveProfileField(textarea.dataset.field, selectors);
+  displayStatusMessage(
+    "selectorsSavedMessage",
+    "success",
+    3000,
+    null,
+    profileStatusMessageElement
+  );
+}
+
+function handleProfileDirectionChange(event) {
+  const target = event.target.closest(".segmented-btn");
+  if (!target || target.dataset.value === undefined) return;
+  const direction = target.dataset.value;
+  updateSegmentedIndicator(defaultDirectionSelector, direction);
+  saveProfileField("direction", direction);
 }
 
 // --- State-Based Scroll Button Logic ---
@@ -223,27 +869,32 @@ function updateScrollButtonsVisibility() {
   container.className = "scroll-buttons-container " + stateClass;
 }
 
-// --- Theme Selector Logic ---
-function updateThemeIndicator(themeValue) {
-  if (!themeSelector) return;
-  const activeBtn = themeSelector.querySelector(
-    `.segmented-btn[data-value="${themeValue}"]`
+// --- Segmented Control Logic ---
+function updateSegmentedIndicator(control, value) {
+  if (!control) return;
+  const activeBtn = control.querySelector(
+    `.segmented-btn[data-value="${value}"]`
   );
-  const indicator = themeSelector.querySelector(".segmented-indicator");
+  const indicator = control.querySelector(".segmented-indicator");
   if (activeBtn && indicator) {
-    const containerRect = themeSelector.getBoundingClientRect();
+    const containerRect = control.getBoundingClientRect();
     const buttonRect = activeBtn.getBoundingClientRect();
     const leftPosition = buttonRect.left - containerRect.left;
 
     indicator.style.width = `${buttonRect.width}px`;
     indicator.style.transform = `translateX(${leftPosition}px)`;
 
-    themeSelector.querySelectorAll(".segmented-btn").forEach((btn) => {
-      btn.classList.toggle("active", btn.dataset.value === themeValue);
+    control.querySelectorAll(".segmented-btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.value === value);
     });
   }
 }
 
+// --- Theme Selector Logic ---
+function updateThemeIndicator(themeValue) {
+  updateSegmentedIndicator(themeSelector, themeValue);
+}
+
 async function handleThemeChange(event) {
   const target = event.target.closest(".segmented-btn");
   if (target?.dataset.value) {
@@ -255,15 +906,26 @@ async function handleThemeChange(event) {
 }
 
 // --- Other Functions ---
-function showContextMenu(event, host) {
+function showContextMenu(event, host, settings) {
   event.stopPropagation();
   closeContextMenu();
   const button = event.currentTarget;
   const rect = button.getBoundingClientRect();
   const menu = document.createElement("div");
   menu.className = "context-menu";
-  menu.innerHTML = `<button type="button" class="context-menu-item" data-action="open">${
-    window.currentTranslations.openSiteButton || "Open Site"
+  const openUrl = SiteRules.getRuleOpenUrl(host);
+  menu.innerHTML = `${
+    openUrl
+      ? `<button type="button" class="context-menu-item" data-action="open">${
+          window.currentTranslations.openSiteButton || "Open Site"
+        }</button>`
+      : ""
+  }<button type="button" class="context-menu-item" data-action="pause">${
+    settings.paused
+      ? window.currentTranslations.resumeSiteButton || "Resume"
+      : window.currentTranslations.pauseSiteButton || "Pause"
+  }</button><button type="button" class="context-menu-item" data-action="edit">${
+    window.currentTranslations.editRulePatternButton || "Edit Pattern"
   }</button><button type="button" class="context-menu-item danger" data-action="remove">${
     window.currentTranslations.removeSiteButton || "Remove"
   }</button>`;
@@ -272,10 +934,23 @@ function showContextMenu(event, host) {
   let left = rect.left + window.scrollX;
   menu.style.top = `${top}px`;
   menu.style.left = `${left}px`;
-  menu.querySelector('[data-action="open"]').addEventListener("click", () => {
-    browser.tabs.create({ url: `https://${host}`, active: true });
+  menu.querySelector('[data-action="open"]')?.addEventListener("click", () => {
+    browser.tabs.create({ url: openUrl, active: true });
     closeContextMenu();
   });
+  menu
+    .querySelector('[data-action="pause"]')
+    .addEventListener("click", async () => {
+      closeContextMenu();
+      const updatedSettings = { ...settings };
+      if (settings.paused) delete updatedSettings.paused;
+      else updatedSettings.paused = true;
+      await storageArea.set({ [host]: updatedSettings });
+    });
+  menu.querySelector('[data-action="edit"]').addEventListener("click", () => {
+    closeContextMenu();
+    handleEditRulePattern(host);
+  });
   menu
     .querySelector('[data-action="remove"]')
     .addEventListener("click", async () => {
@@ -301,6 +976,10 @@ async function loadInitialGlobalSettings(data) {
     const theme = data.theme || "system";
     applyThemeToSettingsPage(theme);
     updateThemeIndicator(theme);
+    updateSegmentedIndicator(
+      defaultDirectionSelector,
+      data[SiteRules.DEFAULT_PROFILE_KEY]?.direction || ""
+    );
     const uiFont = data.uiFont || DEFAULT_UI_FONT;
     applyUiFontToSettingsPage(uiFont);
     updateScrollButtonsVisibility();
@@ -343,12 +1022,7 @@ async function refreshSiteListPage() {
     const entries = Object.entries(data)
       .filter(
         ([k, v]) =>
-          k.includes(".") &&
-          typeof v === "object" &&
-          v !== null &&
-          !["uiFont", "theme", "extensionLanguage", ALL_SETTINGS_KEY].includes(
-            k
-          )
+          SiteRules.isRuleKey(k) && typeof v === "object" && v !== null
       )
       .sort(([a], [b]) => a.localeCompare(b));
     buildAndAttachSiteListDOM(sitesListContainer, entries);
@@ -377,12 +1051,25 @@ function buildAndAttachSiteListDOM(container, entries) {
       item.dataset.host = host;
       const header = document.createElement("div");
       header.className = "site-header";
-      header.innerHTML = `<span class="site-host">${host}</span>`;
+      const hostLabel = document.createElement("span");
+      hostLabel.className = "site-host";
+      hostLabel.dir = "ltr";
+      hostLabel.textContent = host;
+      header.appendChild(hostLabel);
+      if (settings.paused) {
+        item.classList.add("is-paused");
+        const pausedBadge = document.createElement("span");
+        pausedBadge.className = "paused-badge";
+        pausedBadge.textContent = getLocalizedText("pausedBadge", "Paused");
+        header.appendChild(pausedBadge);
+      }
       const kebab = document.createElement("button");
       kebab.className = "kebab-menu-btn";
       kebab.innerHTML = `<svg viewBox="0 0 24 24"><path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"></path></svg>`;
       kebab.setAttribute("aria-label", `Actions for ${host}`);
-      kebab.addEventListener("click", (e) => showContextMenu(e, host));
+      kebab.addEventListener("click", (e) =>
+        showContextMenu(e, host, settings)
+      );
       header.appendChild(kebab);
       const details = document.createElement("div");
       details.className = "site-details";
@@ -391,6 +1078,9 @@ function buildAndAttachSiteListDOM(container, entries) {
         if (!e.target.closest(".kebab-menu-btn"))
           toggleSiteDetailsDisplay(item, host, settings);
       });
+      // Keep the open site open when the list is rebuilt after a change.
+      if (host === currentOpenDetailsHost)
+        toggleSiteDetailsDisplay(item, host, settings);
       frag.appendChild(item);
     });
     container.appendChild(frag);
@@ -419,17 +1109,73 @@ function toggleSiteDetailsDisplay(el, host, settings) {
     )}</span><span class="detail-value" style="font-family: '${
       settings.font || "var(--ui-font)"
     }';">${getLocalizedFontDisplayName(settings.font)}</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailLatinFont",
+      "Latin Font:"
+    )}</span><span class="detail-value" style="font-family: '${
+      settings.latinFont || "var(--ui-font)"
+    }';">${
+      settings.latinFont
+        ? getLocalizedFontDisplayName(settings.latinFont)
+        : getLocalizedText("sameAsPageFontOption", "Same as page font")
+    }</span></div>
 <div class="site-detail-item"><span class="detail-label">${getLocalizedText(
       "siteDetailWeight",
       "Weight:"
     )}</span><span class="detail-value">${getLocalizedFontWeightLabel(
       settings.fontWeight
     )}</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailHeadingFont",
+      "Heading Font:"
+    )}</span><span class="detail-value" style="font-family: '${
+      settings.headingFont || "var(--ui-font)"
+    }';">${
+      settings.headingFont
+        ? getLocalizedFontDisplayName(settings.headingFont)
+        : getLocalizedText("sameAsPageFontOption", "Same as page font")
+    }</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailHeadingFontWeight",
+      "Heading Weight:"
+    )}</span><span class="detail-value">${
+      settings.headingFontWeight
+        ? getLocalizedFontWeightLabel(settings.headingFontWeight)
+        : getLocalizedText("sameAsPageWeightOption", "Same as page weight")
+    }</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailFormFont",
+      "Form Font:"
+    )}</span><span class="detail-value" style="font-family: '${
+      settings.formFont || "var(--ui-font)"
+    }';">${
+      settings.formFont
+        ? getLocalizedFontDisplayName(settings.formFont)
+        : getLocalizedText("sameAsPageFontOption", "Same as page font")
+    }</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailMonoFont",
+      "Monospace Font:"
+    )}</span><span class="detail-value" style="font-family: '${
+      settings.monoFont || "var(--ui-font)"
+    }';">${
+      settings.monoFont
+        ? getLocalizedFontDisplayName(settings.monoFont)
+        : getLocalizedText("sameAsPageFontOption", "Same as page font")
+    }</span></div>
 <div class="site-detail-item"><span class="detail-label">${getLocalizedText(
       "siteDetailSize",
       "Size:"
+    )}</span><span class="detail-value">${
+      settings.fontSizeMode === "scale"
+        ? getLocalizedFontScaleLabel(settings.fontScale)
+        : getLocalizedFontSizeLabel(settings.fontSize)
+    }</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailMinFontSize",
+      "Minimum Size:"
     )}</span><span class="detail-value">${getLocalizedFontSizeLabel(
-      settings.fontSize
+      settings.fontSizeMode === "scale" ? settings.minFontSize : ""
     )}</span></div>
 <div class="site-detail-item"><span class="detail-label">${getLocalizedText(
       "siteDetailLineHeight",
@@ -454,7 +1200,73 @@ function toggleSiteDetailsDisplay(el, host, settings) {
       "Direction:"
     )}</span><span class="detail-value">${getLocalizedDirectionLabel(
       settings.direction
+    )}</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailDigits",
+      "Digits:"
+    )}</span><span class="detail-value">${getLocalizedDigitsLabel(
+      settings.digits
+    )}</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailNormalizePersian",
+      "Persian normalization:"
+    )}</span><span class="detail-value">${getLocalizedNormalizePersianLabel(
+      settings.normalizePersian
+    )}</span></div>
+<div class="site-detail-item"><span class="detail-label">${getLocalizedText(
+      "siteDetailInputDirection",
+      "Typing direction:"
+    )}</span><span class="detail-value">${getLocalizedInputDirectionLabel(
+      settings.inputDirection
     )}</span></div>`;
+    if (settings.scopeSelector) {
+      const scopeRow = document.createElement("div");
+      scopeRow.className = "site-detail-item";
+      const scopeLabel = document.createElement("span");
+      scopeLabel.className = "detail-label";
+      scopeLabel.textContent = getLocalizedText("siteDetailScope", "Region:");
+      const scopeValue = document.createElement("span");
+      scopeValue.className = "detail-value";
+      scopeValue.dir = "ltr";
+      scopeValue.textContent = settings.scopeSelector;
+      scopeRow.append(scopeLabel, scopeValue);
+      details.appendChild(scopeRow);
+    }
+    const profile = namedProfiles.find(({ id }) => id === settings.profile);
+    if (profile) {
+      const profileRow = document.createElement("div");
+      profileRow.className = "site-detail-item";
+      const profileLabel = document.createElement("span");
+      profileLabel.className = "detail-label";
+      profileLabel.textContent = getLocalizedText(
+        "siteDetailProfile",
+        "Profile:"
+      );
+      const profileValue = document.createElement("span");
+      profileValue.className = "detail-value";
+      profileValue.textContent = profile.name;
+      profileRow.append(profileLabel, profileValue);
+      details.appendChild(profileRow);
+    }
+    if (settings.frames) {
+      const framesRow = document.createElement("div");
+      framesRow.className = "site-detail-item";
+      const framesLabel = document.createElement("span");
+      framesLabel.className = "detail-label";
+      framesLabel.textContent = getLocalizedText(
+        "siteDetailFrames",
+        "Embedded frames:"
+      );
+      const framesValue = document.createElement("span");
+      framesValue.className = "detail-value";
+      framesValue.textContent =
+        settings.frames === "all"
+          ? getLocalizedText("framesAllOption", "All frames")
+          : getLocalizedText("framesSameSiteOption", "Same-site frames");
+      framesRow.append(framesLabel, framesValue);
+      details.appendChild(framesRow);
+    }
+    details.appendChild(buildSiteSelectorsEditor(host, settings));
     el.classList.add("expanded");
     currentOpenDetailsHost = host;
   } else {
@@ -462,25 +1274,338 @@ function toggleSiteDetailsDisplay(el, host, settings) {
   }
 }
 
+/**
+ * Builds the editor for a rule's own selector lists. They are added to the
+ * default profile's lists on pages the rule applies to.
+ * @param {string} host - The rule key.
+ * @param {object} settings - The rule's stored settings.
+ * @returns {HTMLElement}
+ */
+function buildSiteSelectorsEditor(host, settings) {
+  const editor = document.createElement("div");
+  editor.className = "site-selectors-editor";
+  const textareas = SiteRules.SELECTOR_FIELDS.map((field) => {
+    const label = document.createElement("label");
+    label.className = "detail-label";
+    label.textContent = getLocalizedText(`${field}Label`, field);
+    const textarea = document.createElement("textarea");
+    textarea.className = "selector-list-input";
+    textarea.dataset.field = field;
+    textarea.rows = 3;
+    textarea.dir = "ltr";
+    textarea.spellcheck = false;
+    textarea.value = SiteRules.toSelectorList(settings[field]).join("\n");
+    label.appendChild(textarea);
+    editor.appendChild(label);
+    return textarea;
+  });
+  const saveButton = document.createElement("button");
+  saveButton.type = "button";
+  saveButton.className = "btn btn-secondary";
+  saveButton.textContent = getLocalizedText(
+    "saveSelectorsButton",
+    "Save selectors"
+  );
+  const messageElement = document.createElement("p");
+  messageElement.className = "status-message";
+  saveButton.addEventListener("click", () =>
+    handleSaveSiteSelectors(host, textareas, messageElement)
+  );
+  editor.append(saveButton, messageElement);
+  return editor;
+}
+
+async function handleSaveSiteSelectors(host, textareas, messageElement) {
+  const lists = {};
+  for (const textarea of textareas) {
+    const { selectors, invalidSelector } = parseSelectorListInput(textarea);
+    if (invalidSelector) {
+      displayStatusMessage(
+        "invalidSelectorMessage",
+        "error",
+        7000,
+        { SELECTOR: invalidSelector },
+        messageElement
+      );
+      return;
+    }
+    lists[textarea.dataset.field] = selectors;
+  }
+  try {
+    const data = await storageArea.get(host);
+    const settings = { ...(data[host] || { host }) };
+    for (const field in lists) {
+      if (lists[field].length > 0) {
+        settings[field] = lists[field];
+      } else {
+        delete settings[field];
+      }
+    }
+    await storageArea.set({ [host]: settings });
+  } catch (e) {
+    console.error("Error saving site selectors:", e);
+  }
+}
+
+// --- Keyboard Shortcuts ---
+
+// The translation key of each command in the manifest.
+const SHORTCUT_LABEL_KEYS = {
+  "toggle-direction": "shortcutToggleDirection",
+  "toggle-site-overrides": "shortcutToggleSiteOverrides",
+  "increase-font-size": "shortcutIncreaseFontSize",
+  "decrease-font-size": "shortcutDecreaseFontSize",
+  "cycle-profile": "shortcutCycleProfile",
+};
+// The names browser.commands uses for keys that are not a letter or digit.
+const SHORTCUT_KEY_NAMES = {
+  ArrowUp: "Up",
+  ArrowDown: "Down",
+  ArrowLeft: "Left",
+  ArrowRight: "Right",
+  " ": "Space",
+  ",": "Comma",
+  ".": "Period",
+  Home: "Home",
+  End: "End",
+  PageUp: "PageUp",
+  PageDown: "PageDown",
+  Insert: "Insert",
+  Delete: "Delete",
+};
+// On macOS, the shortcuts name Command and Control "Command" and "MacCtrl".
+let isMacPlatform = false;
+
+/**
+ * Only Firefox lets an extension change its shortcuts; other browsers have
+ * their own page for it.
+ * @returns {boolean}
+ */
+function canUpdateShortcuts() {
+  return typeof browser.commands?.update === "function";
+}
+
+/**
+ * Turns a key press into a shortcut such as "Alt+Shift+D".
+ * @param {KeyboardEvent} event
+ * @returns {string|null} The shortcut, or null while only modifiers are held.
+ */
+function getShortcutFromKeyEvent(event) {
+  let key = SHORTCUT_KEY_NAMES[event.key];
+  if (!key && /^Key[A-Z]$|^Digit[0-9]$/.test(event.code))
+    key = event.code.slice(-1);
+  if (!key && /^F([1-9]|1[0-2])$/.test(event.key)) key = event.key;
+  if (!key) return null;
+  const modifiers = [];
+  if (isMacPlatform) {
+    if (event.metaKey) modifiers.push("Command");
+    if (event.ctrlKey) modifiers.push("MacCtrl");
+  } else if (event.ctrlKey) {
+    modifiers.push("Ctrl");
+  }
+  if (event.altKey) modifiers.push("Alt");
+  if (event.shiftKey) modifiers.push("Shift");
+  return [...modifiers, key].join("+");
+}
+
+/**
+ * Lists the extension's shortcuts, with a field to change each one where the
+ * browser allows it and a link to the browser's shortcuts page elsewhere.
+ */
+async function renderShortcutsList() {
+  if (!shortcutsListContainer || !browser.commands) return;
+  let commands = [];
+  try {
+    commands = await browser.commands.getAll();
+    isMacPlatform = (await browser.runtime.getPlatformInfo()).os === "mac";
+  } catch (e) {
+    console.error("Error reading the shortcuts:", e);
+  }
+  const editable = canUpdateShortcuts();
+  shortcutsListContainer.innerHTML = "";
+  const frag = document.createDocumentFragment();
+  commands
+    .filter((command) => SHORTCUT_LABEL_KEYS[command.name])
+    .forEach((command) => {
+      const row = document.createElement("div");
+      row.className = "shortcut-item";
+      const label = document.createElement("span");
+      label.textContent = getLocalizedText(
+        SHORTCUT_LABEL_KEYS[command.name],
+        command.description
+      );
+      const shortcut = document.createElement(editable ? "input" : "kbd");
+      shortcut.className = "shortcut-keys";
+      shortcut.dir = "ltr";
+      if (editable) {
+        shortcut.type = "text";
+        shortcut.readOnly = true;
+        shortcut.value = command.shortcut || "";
+        shortcut.placeholder = getLocalizedText("shortcutNotSet", "Not set");
+        shortcut.setAttribute("aria-label", label.textContent);
+        shortcut.addEventListener("keydown", (event) =>
+          handleShortcutKeydown(event, command.name)
+        );
+      } else {
+        shortcut.textContent =
+          command.shortcut || getLocalizedText("shortcutNotSet", "Not set");
+      }
+      row.append(label, shortcut);
+      frag.appendChild(row);
+    });
+  shortcutsListContainer.appendChild(frag);
+  const hint = document.getElementById("shortcutsHint");
+  if (hint) {
+    hint.textContent = editable
+      ? getLocalizedText(
+          "shortcutEditHint",
+          "Click a shortcut and press the new keys. Backspace removes it."
+        )
+      : "";
+  }
+  const changeButton = document.getElementById("changeShortcutsButton");
+  // Firefox can also open its own shortcuts page, in its add-ons manager.
+  if (changeButton) {
+    changeButton.style.display =
+      !editable || canOpenShortcutSettings() ? "" : "none";
+  }
+}
+
+/**
+ * Records the keys pressed in a shortcut field as the command's new shortcut.
+ * @param {KeyboardEvent} event
+ * @param {string} commandName
+ */
+async function handleShortcutKeydown(event, commandName) {
+  if (event.key === "Tab") return;
+  event.preventDefault();
+  const shortcut =
+    event.key === "Backspace" ? "" : getShortcutFromKeyEvent(event);
+  if (shortcut === null) return;
+  try {
+    await browser.commands.update({ name: commandName, shortcut });
+    event.target.value = shortcut;
+    displayStatusMessage(
+      "shortcutSavedMessage",
+      "success",
+      3000,
+      null,
+      shortcutStatusMessageElement
+    );
+  } catch (e) {
+    displayStatusMessage(
+      "shortcutErrorMessage",
+      "error",
+      5000,
+      { error: e.message },
+      shortcutStatusMessageElement
+    );
+  }
+}
+
+/**
+ * @returns {boolean} True if the browser opens its shortcuts page for the
+ *   extension itself (Firefox).
+ */
+function canOpenShortcutSettings() {
+  return typeof browser.commands?.openShortcutSettings === "function";
+}
+
+/**
+ * Opens the browser's page for changing extension shortcuts.
+ */
+function openBrowserShortcutsPage() {
+  const opening = canOpenShortcutSettings()
+    ? browser.commands.openShortcutSettings()
+    : browser.tabs.create({ url: "chrome://extensions/shortcuts" });
+  opening.catch((e) => console.error("Error opening the shortcuts page:", e));
+}
+
 // --- Localization Helpers ---
 function getLocalizedText(key, fallback) {
   return window.currentTranslations?.[key] || fallback;
 }
+/**
+ * Escapes text typed by the user for the custom selects, whose labels are HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const element = document.createElement("span");
+  element.textContent = text;
+  return element.innerHTML;
+}
 function getLocalizedFontDisplayName(val) {
-  const font = window.FONT_LIST?.find((f) => f.value === val);
-  return getLocalizedText(
-    font?.labelKey,
-    val || getLocalizedText("defaultOption", "Default")
-  );
+  const font = FontCatalog.findFont(fontCatalog, val);
+  if (font) return FontCatalog.getDisplayName(font, window.currentLanguageCode);
+  return val || getLocalizedText("defaultOption", "Default");
+}
+/**
+ * @returns {{value: string, label: string}[]} The numeral systems page digits
+ *   can be converted to, after the option that leaves them unchanged.
+ */
+function getDigitsOptions() {
+  return ["", "persian", "arabic", "latin"].map((value) => ({
+    value,
+    label: getLocalizedDigitsLabel(value),
+  }));
+}
+
+function getLocalizedDigitsLabel(val) {
+  if (val === "persian")
+    return getLocalizedText("digitsPersianOption", "Persian (۱۲۳)");
+  if (val === "arabic")
+    return getLocalizedText("digitsArabicOption", "Arabic-Indic (١٢٣)");
+  if (val === "latin")
+    return getLocalizedText("digitsLatinOption", "Latin (123)");
+  return getLocalizedText("digitsUnchangedOption", "Unchanged");
+}
+
+/**
+ * @returns {{value: string, label: string}[]} The options of the default
+ *   profile's Persian normalization; sites can still turn it off.
+ */
+function getNormalizePersianOptions() {
+  return ["", "on"].map((value) => ({
+    value,
+    label: getLocalizedNormalizePersianLabel(value),
+  }));
+}
+
+function getLocalizedNormalizePersianLabel(val) {
+  if (val === "on") return getLocalizedText("normalizePersianOnOption", "On");
+  return getLocalizedText("normalizePersianOffOption", "Off");
 }
+
+/**
+ * @returns {{value: string, label: string}[]} The options of the default
+ *   profile's typing direction; sites can still turn it off.
+ */
+function getInputDirectionOptions() {
+  return ["", "on"].map((value) => ({
+    value,
+    label: getLocalizedInputDirectionLabel(value),
+  }));
+}
+
+function getLocalizedInputDirectionLabel(val) {
+  if (val === "on")
+    return getLocalizedText("inputDirectionOnOption", "Follow the typed text");
+  return getLocalizedText("inputDirectionOffOption", "Off");
+}
+
 function getLocalizedDirectionLabel(val) {
   if (val === "rtl") return getLocalizedText("rtlButton", "RTL");
   if (val === "ltr") return getLocalizedText("ltrButton", "LTR");
+  if (val === "auto") return getLocalizedText("autoButton", "Auto");
   return getLocalizedText("defaultOption", "Default");
 }
 function getLocalizedFontSizeLabel(val) {
   return val ? `${val}px` : getLocalizedText("defaultOption", "Default");
 }
+function getLocalizedFontScaleLabel(val) {
+  return val ? `${val}%` : getLocalizedText("defaultOption", "Default");
+}
 function getLocalizedLineHeightLabel(val) {
   return val || getLocalizedText("defaultOption", "Default");
 }
@@ -507,22 +1632,102 @@ function displayStatusMessage(
   key,
   type = "",
   duration = 5000,
-  placeholders = null
+  placeholders = null,
+  messageElement = importStatusMessageElement
 ) {
-  if (!importStatusMessageElement) return;
-  clearTimeout(statusMessageTimeoutId);
+  if (!messageElement) return;
+  clearTimeout(statusMessageTimeouts.get(messageElement));
   let text = getLocalizedText(key, key);
   if (placeholders) {
     for (const p in placeholders) {
       text = text.replace(`$${p.toUpperCase()}$`, placeholders[p]);
     }
   }
-  importStatusMessageElement.textContent = text;
-  importStatusMessageElement.className = `status-message visible ${type}`;
+  messageElement.textContent = text;
+  messageElement.className = `status-message visible ${type}`;
   if (duration > 0)
-    statusMessageTimeoutId = setTimeout(() => {
-      importStatusMessageElement.className = "status-message";
-    }, duration);
+    statusMessageTimeouts.set(
+      messageElement,
+      setTimeout(() => {
+        messageElement.className = "status-message";
+      }, duration)
+    );
+}
+
+// --- URL Rule Management ---
+
+/**
+ * Checks a user-entered pattern and reports the problem next to the rule form.
+ * @param {string} pattern - The URL pattern to validate.
+ * @returns {Promise<boolean>} True if a rule can be stored under this pattern.
+ */
+async function validateNewRulePattern(pattern) {
+  if (!SiteRules.isRuleKey(pattern) || !SiteRules.parseRulePattern(pattern)) {
+    displayStatusMessage(
+      "invalidRulePatternMessage",
+      "error",
+      7000,
+      { PATTERN: pattern },
+      ruleStatusMessageElement
+    );
+    return false;
+  }
+  const existing = await storageArea.get(pattern);
+  if (existing[pattern]) {
+    displayStatusMessage(
+      "ruleAlreadyExistsMessage",
+      "error",
+      7000,
+      { PATTERN: pattern },
+      ruleStatusMessageElement
+    );
+    return false;
+  }
+  return true;
+}
+
+async function handleAddRule(event) {
+  event.preventDefault();
+  const pattern = newRulePatternInput?.value.trim();
+  if (!pattern || !(await validateNewRulePattern(pattern))) return;
+  try {
+    await storageArea.set({ [pattern]: { host: pattern } });
+    newRulePatternInput.value = "";
+    displayStatusMessage(
+      "ruleAddedMessage",
+      "success",
+      5000,
+      { PATTERN: pattern },
+      ruleStatusMessageElement
+    );
+  } catch (e) {
+    console.error("Error adding URL rule:", e);
+  }
+}
+
+/**
+ * Moves a rule's settings to a new pattern chosen by the user.
+ * @param {string} oldPattern - The current rule key.
+ */
+async function handleEditRulePattern(oldPattern) {
+  const input = prompt(
+    getLocalizedText("editRulePatternPrompt", "New URL pattern:"),
+    oldPattern
+  );
+  const newPattern = input?.trim();
+  if (!newPattern || newPattern === oldPattern) return;
+  if (!(await validateNewRulePattern(newPattern))) return;
+  try {
+    const data = await storageArea.get(oldPattern);
+    await storageArea.set({
+      [newPattern]: { ...data[oldPattern], host: newPattern },
+    });
+    await storageArea.remove(oldPattern);
+    if (currentOpenDetailsHost === oldPattern)
+      currentOpenDetailsHost = newPattern;
+  } catch (e) {
+    console.error("Error renaming URL rule:", e);
+  }
 }
 
 async function handleExportSettings() {
@@ -531,8 +1736,14 @@ async function handleExportSettings() {
     const exportData = Object.fromEntries(
       Object.entries(data).filter(
         ([key]) =>
-          key.includes(".") ||
-          ["uiFont", "theme", "extensionLanguage"].includes(key)
+          SiteRules.isRuleKey(key) ||
+          SiteRules.isProfileKey(key) ||
+          [
+            "uiFont",
+            "theme",
+            "extensionLanguage",
+            SiteRules.DEFAULT_PROFILE_KEY,
+          ].includes(key)
       )
     );
     if (Object.keys(exportData).length === 0) {
@@ -608,6 +1819,7 @@ browser.storage.onChanged.addListener(async (changes, area) => {
   if (area !== "sync") return;
   let refreshList = false;
   let uiFontChanged = false;
+  let profilesChanged = false;
 
   for (const key in changes) {
     if (key === "extensionLanguage") {
@@ -617,7 +1829,14 @@ browser.storage.onChanged.addListener(async (changes, area) => {
     if (key === "uiFont") {
       uiFontChanged = true;
     }
-    if (key.includes(".")) {
+    if (key === editedProfileKey) {
+      renderProfileCard(changes[key].newValue || {});
+    }
+    if (SiteRules.isProfileKey(key)) {
+      profilesChanged = true;
+      refreshList = true;
+    }
+    if (SiteRules.isRuleKey(key)) {
       refreshList = true;
     }
   }
@@ -642,6 +1861,9 @@ browser.storage.onChanged.addListener(async (changes, area) => {
     }
   }
 
+  if (profilesChanged) {
+    await refreshNamedProfiles();
+  }
   if (refreshList) {
     await refreshSiteListPage();
   }
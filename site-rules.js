@@ -0,0 +1,543 @@
+/**
+ * @file site-rules.js
+ * @description Decides which stored site rule applies to a given URL, and which
+ * settings result from it once the global default profile is filled in.
+ * Shared by the popup, the settings page, the content script and the service worker.
+ *
+ * Every rule is stored in browser.storage.sync under its pattern. A pattern is one of:
+ *  - "example.com"            an exact hostname (the original format)
+ *  - "*.example.com"          a hostname with `*` wildcards
+ *  - "example.com/docs/*"     a hostname plus a path; `*` matches any characters and a
+ *                             path without a trailing wildcard also covers its sub-paths
+ *  - "/^example\.com\/fa/i"   a regular expression tested against "hostname/path"
+ *
+ * When several rules match a URL, the most specific one wins:
+ *  1. hostname + path rules (the one with more literal characters first)
+ *  2. regular expressions (longer patterns first)
+ *  3. exact hostnames
+ *  4. hostname wildcards (more literal characters first)
+ *
+ * The default profile (stored under "defaultProfile") supplies every style field
+ * that the winning rule leaves empty, so a rule only stores what it overrides.
+ * Selector lists are combined instead: a rule's excluded and always-restyled
+ * selectors are added to the default profile's, and so are the blocks it gives
+ * their own direction ("rtlSelectors" and "ltrSelectors"). A rule may also
+ * limit itself to one region of the page with a "scopeSelector", and pass its
+ * settings on to the frames embedded in its pages with "frames" (see
+ * FRAME_MODES). A rule with "paused" set keeps its settings but leaves its
+ * pages unchanged.
+ *
+ * Named profiles are stored next to the rules as "profile:<id>", each with a
+ * "name" and its own style fields. A rule that names one in its "profile" field
+ * inherits that profile's values ahead of the default profile's, so editing
+ * the profile changes every site that uses it.
+ */
+(function () {
+  const DEFAULT_PROFILE_KEY = "defaultProfile";
+  // The browser.storage.session key listing the ids of the tabs the popup
+  // paused, which show their pages unchanged until they are closed.
+  const PAUSED_TABS_KEY = "pausedTabs";
+  const PROFILE_KEY_PREFIX = "profile:";
+
+  // Global (non-rule) keys stored next to the site rules.
+  const RESERVED_KEYS = [
+    "uiFont",
+    "theme",
+    "extensionLanguage",
+    "fontChangerAllSettingsBackup",
+    DEFAULT_PROFILE_KEY,
+  ];
+
+  // The fonts of the typographic roles, which fall back to the page font.
+  const ROLE_FIELDS = [
+    "headingFont",
+    "headingFontWeight",
+    "formFont",
+    "monoFont",
+  ];
+
+  // The style fields a rule can override and the default profile can supply.
+  const STYLE_FIELDS = [
+    "font",
+    "latinFont",
+    "fontWeight",
+    "fontSize",
+    "fontSizeMode",
+    "fontScale",
+    "minFontSize",
+    "lineHeight",
+    "letterSpacing",
+    "wordSpacing",
+    "direction",
+    "digits",
+    "normalizePersian",
+    "inputDirection",
+    ...ROLE_FIELDS,
+  ];
+
+  // Elements that are not restyled until the user edits the default profile's
+  // excluded selectors (icon fonts and code).
+  const DEFAULT_EXCLUDE_SELECTORS = [
+    '[class*="icon"]',
+    '[class*="fa"]',
+    "i",
+    ".material-icons",
+    ".material-symbols-outlined",
+    "pre",
+    "code",
+    "samp",
+    "kbd",
+  ];
+
+  // The blocks given their own direction, whatever the page's direction is.
+  const BLOCK_DIRECTION_FIELDS = { rtlSelectors: "rtl", ltrSelectors: "ltr" };
+
+  // Lists of CSS selectors: elements to leave alone, elements to always restyle
+  // and the blocks of BLOCK_DIRECTION_FIELDS.
+  const SELECTOR_FIELDS = [
+    "excludeSelectors",
+    "includeSelectors",
+    ...Object.keys(BLOCK_DIRECTION_FIELDS),
+  ];
+
+  // Which frames embedded in a rule's pages use the rule's settings instead of
+  // their own: none (""), the frames of the same site (see isHostOfSite), or
+  // all of them.
+  const FRAME_MODES = ["", "sameSite", "all"];
+
+  const RULE_TIER = {
+    PATH: 3,
+    REGEX: 2,
+    HOST: 1,
+    HOST_WILDCARD: 0,
+  };
+
+  // Compiled patterns, keyed by the rule key. Rules are re-parsed only when new.
+  const parsedRuleCache = new Map();
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function globToRegExpSource(glob) {
+    return glob.split("*").map(escapeRegExp).join(".*");
+  }
+
+  /**
+   * Checks whether a storage key names a site rule rather than a global setting.
+   * @param {string} key - A browser.storage.sync key.
+   * @returns {boolean}
+   */
+  function isRuleKey(key) {
+    if (typeof key !== "string" || RESERVED_KEYS.includes(key)) return false;
+    if (isProfileKey(key)) return false;
+    return key.includes(".") || key.includes("/");
+  }
+
+  /**
+   * @param {string} profileId - A named profile's id.
+   * @returns {string} The browser.storage.sync key of the profile.
+   */
+  function getProfileKey(profileId) {
+    return PROFILE_KEY_PREFIX + profileId;
+  }
+
+  /**
+   * @param {string} key - A browser.storage.sync key.
+   * @returns {boolean} True if the key holds a named profile.
+   */
+  function isProfileKey(key) {
+    return typeof key === "string" && key.startsWith(PROFILE_KEY_PREFIX);
+  }
+
+  /**
+   * Lists the named profiles.
+   * @param {object} data - The full contents of browser.storage.sync.
+   * @returns {{id: string, name: string, settings: object}[]} Sorted by name.
+   */
+  function getProfiles(data) {
+    return Object.entries(data)
+      .filter(
+        ([key, settings]) =>
+          isProfileKey(key) && settings && typeof settings === "object"
+      )
+      .map(([key, settings]) => {
+        const id = key.slice(PROFILE_KEY_PREFIX.length);
+        return { id, name: settings.name || id, settings };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Compiles a rule pattern into a matcher.
+   * @param {string} pattern - The rule key.
+   * @returns {{type: number, regex: RegExp, specificity: number}|null}
+   *   The parsed rule, or null if the pattern is not valid.
+   */
+  function parseRulePattern(pattern) {
+    if (parsedRuleCache.has(pattern)) return parsedRuleCache.get(pattern);
+
+    let parsed = null;
+    // "example.com/" is the whole site, like "example.com".
+    const trimmed =
+      typeof pattern === "string"
+        ? pattern.trim().replace(/^([^/]+)\/$/, "$1")
+        : "";
+    const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+
+    try {
+      if (regexMatch) {
+        parsed = {
+          type: RULE_TIER.REGEX,
+          regex: new RegExp(regexMatch[1], regexMatch[2].replace("g", "")),
+          specificity: regexMatch[1].length,
+        };
+      } else if (trimmed.includes("/")) {
+        const slashIndex = trimmed.indexOf("/");
+        const hostPart = trimmed.slice(0, slashIndex);
+        const rawPathPart = trimmed.slice(slashIndex);
+        // "example.com/docs" also covers "example.com/docs/page".
+        const pathSuffix = rawPathPart.endsWith("*") ? "" : "(?:/.*)?";
+        const pathPart = rawPathPart.replace(/\/$/, "") || "/";
+        if (hostPart) {
+          parsed = {
+            type: RULE_TIER.PATH,
+            hostRegex: new RegExp(
+              `^${globToRegExpSource(hostPart.toLowerCase())}$`
+            ),
+            regex: new RegExp(
+              `^${globToRegExpSource(
+                hostPart.toLowerCase()
+              )}${globToRegExpSource(pathPart)}${pathSuffix}$`
+            ),
+            specificity: trimmed.replace(/\*/g, "").length,
+          };
+        }
+      } else if (trimmed.includes("*")) {
+        parsed = {
+          type: RULE_TIER.HOST_WILDCARD,
+          regex: new RegExp(`^${globToRegExpSource(trimmed.toLowerCase())}$`),
+          specificity: trimmed.replace(/\*/g, "").length,
+        };
+      } else if (trimmed) {
+        parsed = {
+          type: RULE_TIER.HOST,
+          regex: new RegExp(`^${escapeRegExp(trimmed.toLowerCase())}$`),
+          specificity: trimmed.length,
+        };
+      }
+    } catch (e) {
+      parsed = null;
+    }
+
+    parsedRuleCache.set(pattern, parsed);
+    return parsed;
+  }
+
+  /**
+   * Returns the strings a rule is matched against for a URL.
+   * @param {string|URL|Location} url - The page URL.
+   * @returns {{host: string, hostAndPath: string}|null}
+   */
+  function getUrlTarget(url) {
+    try {
+      const parsedUrl = new URL(String(url));
+      const host = parsedUrl.hostname.toLowerCase();
+      const path = parsedUrl.pathname.replace(/\/$/, "") || "/";
+      return { host, hostAndPath: host + path };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Tests a single rule against a URL.
+   * @param {string} pattern - The rule key.
+   * @param {string|URL|Location} url - The page URL.
+   * @returns {boolean}
+   */
+  function ruleMatchesUrl(pattern, url) {
+    const rule = parseRulePattern(pattern);
+    const target = getUrlTarget(url);
+    if (!rule || !target) return false;
+    const subject =
+      rule.type === RULE_TIER.HOST || rule.type === RULE_TIER.HOST_WILDCARD
+        ? target.host
+        : target.hostAndPath;
+    return rule.regex.test(subject);
+  }
+
+  /**
+   * Tells whether a rule can apply to some page of a host.
+   * @param {string} pattern - The rule key.
+   * @param {string} host - A hostname.
+   * @returns {boolean} Always true for a regular expression, which may match
+   *   any host.
+   */
+  function ruleMayMatchHost(pattern, host) {
+    const rule = parseRulePattern(pattern);
+    if (!rule) return false;
+    if (rule.type === RULE_TIER.REGEX) return true;
+    return (rule.type === RULE_TIER.PATH ? rule.hostRegex : rule.regex).test(
+      host.toLowerCase()
+    );
+  }
+
+  /**
+   * Tells whether the pages of a URL's host may resolve to different rules,
+   * because a path rule or a regular expression may apply to some of them.
+   * @param {object} data - The full contents of browser.storage.sync.
+   * @param {string|URL|Location} url - The page URL.
+   * @returns {boolean}
+   */
+  function variesByPath(data, url) {
+    const target = getUrlTarget(url);
+    if (!target) return true;
+    return Object.keys(data).some((key) => {
+      if (!isRuleKey(key) || !ruleMayMatchHost(key, target.host)) return false;
+      return parseRulePattern(key).type >= RULE_TIER.REGEX;
+    });
+  }
+
+  /**
+   * Finds the most specific rule in the stored data that applies to a URL.
+   * @param {object} data - The full contents of browser.storage.sync.
+   * @param {string|URL|Location} url - The page URL.
+   * @returns {{key: string, settings: object}|null} The winning rule, or null.
+   */
+  function resolveRule(data, url) {
+    let best = null;
+    for (const key in data) {
+      const settings = data[key];
+      if (!isRuleKey(key) || !settings || typeof settings !== "object")
+        continue;
+      if (!ruleMatchesUrl(key, url)) continue;
+      const rule = parseRulePattern(key);
+      if (
+        !best ||
+        rule.type > best.rule.type ||
+        (rule.type === best.rule.type &&
+          rule.specificity > best.rule.specificity)
+      ) {
+        best = { key, settings, rule };
+      }
+    }
+    return best ? { key: best.key, settings: best.settings } : null;
+  }
+
+  /**
+   * An empty field means "inherit from the default profile".
+   * @param {*} value - A stored field value.
+   * @returns {boolean}
+   */
+  function isFieldSet(value) {
+    return value !== undefined && value !== null && value !== "";
+  }
+
+  /**
+   * Checks that a string can be used as a CSS selector. Outside of a page (the
+   * service worker) every selector is accepted.
+   * @param {string} selector - The selector to check.
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    if (typeof selector !== "string" || !selector.trim()) return false;
+    if (typeof document === "undefined") return true;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Normalizes a stored selector list.
+   * @param {*} value - A stored list, or a string with one selector per line.
+   * @returns {string[]} The trimmed, non-empty, unique selectors.
+   */
+  function toSelectorList(value) {
+    const items = Array.isArray(value)
+      ? value
+      : typeof value === "string"
+      ? value.split("\n")
+      : [];
+    const selectors = items
+      .filter((item) => typeof item === "string")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    return [...new Set(selectors)];
+  }
+
+  /**
+   * Fills the fields a rule leaves empty with the default profile's values and
+   * adds the rule's selectors to the default profile's lists.
+   * @param {object|null} defaultProfile - The stored default profile.
+   * @param {object|null} overrides - The rule's own settings.
+   * @returns {object} One value (possibly "") for every entry in STYLE_FIELDS,
+   *   one array for every entry in SELECTOR_FIELDS, and the rule's scopeSelector,
+   *   frames and paused flag.
+   */
+  function mergeWithDefaults(defaultProfile, overrides) {
+    const effective = {};
+    STYLE_FIELDS.forEach((field) => {
+      if (overrides && isFieldSet(overrides[field])) {
+        effective[field] = overrides[field];
+      } else if (defaultProfile && isFieldSet(defaultProfile[field])) {
+        effective[field] = defaultProfile[field];
+      } else {
+        effective[field] = "";
+      }
+    });
+    // The scope belongs to the rule alone; the default profile has none.
+    effective.scopeSelector =
+      overrides && isValidSelector(overrides.scopeSelector)
+        ? overrides.scopeSelector.trim()
+        : "";
+    effective.frames =
+      overrides && FRAME_MODES.includes(overrides.frames)
+        ? overrides.frames
+        : "";
+    // Pausing turns one rule off; the default profile cannot be paused.
+    effective.paused = Boolean(overrides?.paused);
+    SELECTOR_FIELDS.forEach((field) => {
+      const globalList =
+        field === "excludeSelectors" &&
+        !Array.isArray(defaultProfile?.excludeSelectors)
+          ? DEFAULT_EXCLUDE_SELECTORS
+          : toSelectorList(defaultProfile?.[field]);
+      effective[field] = [
+        ...new Set([...globalList, ...toSelectorList(overrides?.[field])]),
+      ];
+    });
+    return effective;
+  }
+
+  /**
+   * Resolves the settings that apply to a URL: the most specific rule on top of
+   * its named profile, if any, and the default profile.
+   * @param {object} data - The full contents of browser.storage.sync.
+   * @param {string|URL|Location} url - The page URL.
+   * @returns {{rule: {key: string, settings: object}|null, settings: object}}
+   */
+  function resolveEffectiveSettings(data, url) {
+    const rule = resolveRule(data, url);
+    return {
+      rule,
+      settings: mergeWithDefaults(
+        getInheritedProfile(data, rule ? rule.settings : null),
+        rule ? rule.settings : null
+      ),
+    };
+  }
+
+  /**
+   * Builds the values a rule inherits: the default profile, with the values
+   * of the named profile the rule uses on top. A profile that no longer
+   * exists is ignored.
+   * @param {object} data - The full contents of browser.storage.sync.
+   * @param {object|null} ruleSettings - The rule's own settings.
+   * @returns {object} A profile to pass to mergeWithDefaults.
+   */
+  function getInheritedProfile(data, ruleSettings) {
+    const defaultProfile = data[DEFAULT_PROFILE_KEY] || {};
+    const profile = ruleSettings?.profile
+      ? data[getProfileKey(ruleSettings.profile)]
+      : null;
+    if (!profile || typeof profile !== "object") return defaultProfile;
+    const inherited = { ...defaultProfile };
+    STYLE_FIELDS.forEach((field) => {
+      if (isFieldSet(profile[field])) inherited[field] = profile[field];
+    });
+    return inherited;
+  }
+
+  /**
+   * @param {object} settings - Effective settings (see mergeWithDefaults).
+   * @returns {boolean} True if they change anything on a page.
+   */
+  function changesPage(settings) {
+    return (
+      STYLE_FIELDS.some((field) => settings[field]) ||
+      Object.keys(BLOCK_DIRECTION_FIELDS).some(
+        (field) => toSelectorList(settings[field]).length > 0
+      )
+    );
+  }
+
+  /**
+   * Tells whether a frame's host belongs to the page's site: the page's host
+   * without "www.", or one of its subdomains. Sibling subdomains do not count,
+   * as without the public suffix list "a.github.io" and "b.github.io" look
+   * just like "a.example.com" and "b.example.com".
+   * @param {string} frameHost - The frame's hostname.
+   * @param {string} topHost - The page's hostname.
+   * @returns {boolean}
+   */
+  function isHostOfSite(frameHost, topHost) {
+    const site = topHost.toLowerCase().replace(/^www\./, "");
+    const host = frameHost.toLowerCase();
+    return host === site || host.endsWith(`.${site}`);
+  }
+
+  /**
+   * Tells whether a frame uses the settings of the page that embeds it.
+   * @param {string} frames - The page's frame mode (see FRAME_MODES).
+   * @param {string|URL|Location} topUrl - The URL of the tab's page.
+   * @param {string|URL|Location} frameUrl - The URL of the frame.
+   * @returns {boolean}
+   */
+  function frameInheritsSettings(frames, topUrl, frameUrl) {
+    if (frames === "all") return true;
+    if (frames !== "sameSite") return false;
+    const topTarget = getUrlTarget(topUrl);
+    const frameTarget = getUrlTarget(frameUrl);
+    return Boolean(
+      topTarget && frameTarget && isHostOfSite(frameTarget.host, topTarget.host)
+    );
+  }
+
+  /**
+   * Builds a URL that can be opened for a rule, when the pattern allows it.
+   * @param {string} pattern - The rule key.
+   * @returns {string|null} An https URL, or null for regular expressions.
+   */
+  function getRuleOpenUrl(pattern) {
+    const rule = parseRulePattern(pattern);
+    if (!rule || rule.type === RULE_TIER.REGEX) return null;
+    const literalPrefix = pattern.replace(/^\*\./, "").split("*")[0];
+    if (!literalPrefix || literalPrefix.startsWith("/")) return null;
+    return `https://${literalPrefix}`;
+  }
+
+  globalThis.SiteRules = {
+    DEFAULT_PROFILE_KEY,
+    PAUSED_TABS_KEY,
+    PROFILE_KEY_PREFIX,
+    STYLE_FIELDS,
+    ROLE_FIELDS,
+    SELECTOR_FIELDS,
+    BLOCK_DIRECTION_FIELDS,
+    DEFAULT_EXCLUDE_SELECTORS,
+    FRAME_MODES,
+    isRuleKey,
+    getProfileKey,
+    isProfileKey,
+    getProfiles,
+    getInheritedProfile,
+    isFieldSet,
+    isValidSelector,
+    toSelectorList,
+    mergeWithDefaults,
+    resolveEffectiveSettings,
+    changesPage,
+    parseRulePattern,
+    ruleMatchesUrl,
+    ruleMayMatchHost,
+    variesByPath,
+    resolveRule,
+    getUrlTarget,
+    frameInheritsSettings,
+    getRuleOpenUrl,
+  };
+})();